@@ -0,0 +1,122 @@
+/**
+ * Wordish achievements — badges earned across every daily dish. The definitions are data, in
+ * achievements.json: [{ id, title, description, icon, rule: { type, ... } }]. Rule types:
+ *   dishes { count }       dates played
+ *   wins { count }         dates won (any run that counts toward best)
+ *   dayStreak { count }    daily dishes played on their own day (Helsinki time), on consecutive days,
+ *                          at any point; archive replays and runs logged without a time don't count
+ *   stars { count, star? } dates that earned star ('elegant', ...), or stars earned in all
+ *   run { maxMoves?, maxWaste?, minStars?, mode? }  one run that counts toward best, meeting every condition
+ *   ingredient { minLength }  an ingredient at least this long in a saved game
+ * A rule of an unknown type is never earned, so definitions added for a newer game are just locked.
+ * Runs come from the game log (gamelog.js); ingredients from the saves' histories.
+ *
+ * Browser: load after rules.js and gamelog.js (exposes window.WordishAchievements).
+ * Node:    const WordishAchievements = require('./achievements');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const achievements = isNode
+        ? factory(require('./rules'), require('./gamelog'))
+        : factory(root.WordishRules, root.WordishGameLog);
+    if (isNode) {
+        module.exports = achievements;
+    } else {
+        root.WordishAchievements = achievements;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules, WordishGameLog) {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // Puzzle dates follow Helsinki time (game.js getHelsinkiDate)
+    const PUZZLE_DATE_FORMAT = new Intl.DateTimeFormat('en-US', { timeZone: 'Europe/Helsinki', year: 'numeric', month: '2-digit', day: '2-digit' });
+
+    function dayNumber(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day) / DAY_MS;
+    }
+
+    // Puzzle date (YYYY-MM-DD) a run was played on, or null when the log has no time for it
+    function playedOn(at) {
+        if (typeof at !== 'number') return null;
+        const parts = {};
+        for (const part of PUZZLE_DATE_FORMAT.formatToParts(new Date(at))) parts[part.type] = part.value;
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    function longestDayStreak(dates) {
+        let longest = 0;
+        let current = 0;
+        let previous = null;
+        for (const day of dates.map(dayNumber)) {
+            current = previous !== null && day === previous + 1 ? current + 1 : 1;
+            longest = Math.max(longest, current);
+            previous = day;
+        }
+        return longest;
+    }
+
+    // What the rules are checked against, worked out once per evaluation
+    function getFacts(events, histories) {
+        const summary = WordishGameLog.summarize(events);
+        const entries = Object.values(summary);
+        let longestIngredient = 0;
+        for (const history of histories) {
+            for (const item of Array.isArray(history) ? history : []) {
+                if (item && typeof item.ingredient === 'string') longestIngredient = Math.max(longestIngredient, item.ingredient.length);
+            }
+        }
+        const firstRuns = WordishGameLog.getFirstRuns(events);
+        return {
+            dates: firstRuns.map(event => event.date),
+            dailyDates: firstRuns.filter(event => playedOn(event.at) === event.date).map(event => event.date),
+            entries,
+            counted: events.filter(WordishGameLog.countsTowardBest),
+            longestIngredient
+        };
+    }
+
+    const RULES = {
+        dishes: (rule, facts) => facts.dates.length >= rule.count,
+        wins: (rule, facts) => facts.entries.filter(entry => entry.best).length >= rule.count,
+        dayStreak: (rule, facts) => longestDayStreak(facts.dailyDates) >= rule.count,
+        stars(rule, facts) {
+            const earned = rule.star
+                ? facts.entries.filter(entry => entry.stars[rule.star]).length
+                : facts.entries.reduce((sum, entry) => sum + WordishRules.countStars(entry.stars), 0);
+            return earned >= rule.count;
+        },
+        run: (rule, facts) => facts.counted.some(event =>
+            (rule.maxMoves === undefined || event.moves <= rule.maxMoves)
+            && (rule.maxWaste === undefined || event.waste <= rule.maxWaste)
+            && (rule.minStars === undefined || WordishRules.countStars(event.stars) >= rule.minStars)
+            && (rule.mode === undefined || event.mode === rule.mode)),
+        ingredient: (rule, facts) => facts.longestIngredient >= rule.minLength
+    };
+
+    /**
+     * Ids of the definitions earned. context = { events: game log events, histories: [history, ...] from
+     * the saved games }.
+     */
+    function getEarned(definitions, context) {
+        const facts = getFacts(context.events || [], context.histories || []);
+        return definitions
+            .filter(def => def && def.rule && RULES[def.rule.type] && RULES[def.rule.type](def.rule, facts))
+            .map(def => def.id);
+    }
+
+    /**
+     * Definitions earned but not yet in unlocked ({ [id]: ms timestamp }, what this device has already
+     * announced), in definition order.
+     */
+    function getNewlyEarned(definitions, context, unlocked) {
+        const earned = new Set(getEarned(definitions, context));
+        return definitions.filter(def => earned.has(def.id) && !(unlocked && unlocked[def.id]));
+    }
+
+    return {
+        RULE_TYPES: Object.keys(RULES),
+        getEarned,
+        getNewlyEarned
+    };
+});
@@ -0,0 +1,76 @@
+/**
+ * Wordish charts — small inline SVG charts for the stats modal, built as markup strings (no DOM, no
+ * charting library). Colours come from CSS classes on the parts (.chart-bar, .chart-line, ...), so the
+ * charts follow the light and dark themes.
+ *
+ * Browser: load before game.js (exposes window.WordishCharts).
+ * Node:    const WordishCharts = require('./charts');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const charts = factory();
+    if (isNode) {
+        module.exports = charts;
+    } else {
+        root.WordishCharts = charts;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const BAR_CHART = { width: 300, height: 120, labelHeight: 18, valueHeight: 16, gap: 6 };
+    const SPARKLINE = { width: 300, height: 40, pad: 4 };
+
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+    }
+
+    // Two decimals at most, so the markup stays short and stable
+    function round(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    /**
+     * Vertical bar chart. bars = [{ label, value }]; options: { label (for screen readers), highlight (index
+     * of a bar to mark, e.g. today's result) }. Each bar shows its value above and its label below.
+     */
+    function barChart(bars, options) {
+        const opts = options || {};
+        const { width, height, labelHeight, valueHeight, gap } = BAR_CHART;
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+        const slot = width / Math.max(1, bars.length);
+        const plot = height - labelHeight - valueHeight;
+        const parts = bars.map((bar, i) => {
+            const barHeight = round((bar.value / max) * plot);
+            const x = round(i * slot + gap / 2);
+            const y = round(valueHeight + plot - barHeight);
+            const mid = round(i * slot + slot / 2);
+            const cls = i === opts.highlight ? 'chart-bar chart-bar-highlight' : 'chart-bar';
+            return `<rect class="${cls}" x="${x}" y="${y}" width="${round(slot - gap)}" height="${barHeight}" rx="2"></rect>`
+                + `<text class="chart-value" x="${mid}" y="${round(y - 4)}" text-anchor="middle">${bar.value}</text>`
+                + `<text class="chart-label" x="${mid}" y="${height - 4}" text-anchor="middle">${escapeXml(bar.label)}</text>`;
+        });
+        return `<svg class="chart chart-bars" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(opts.label || '')}">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Line over a series of values, oldest first, with the last point marked. options: { label, max
+     * (top of the scale; default the largest value) }.
+     */
+    function sparkline(values, options) {
+        const opts = options || {};
+        const { width, height, pad } = SPARKLINE;
+        const max = Math.max(1, opts.max || 0, ...values);
+        const step = values.length > 1 ? (width - pad * 2) / (values.length - 1) : 0;
+        const points = values.map((value, i) => [round(pad + i * step), round(height - pad - (value / max) * (height - pad * 2))]);
+        const last = points[points.length - 1];
+        return `<svg class="chart chart-sparkline" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(opts.label || '')}">`
+            + `<polyline class="chart-line" points="${points.map(p => p.join(',')).join(' ')}" fill="none"></polyline>`
+            + (last ? `<circle class="chart-dot" cx="${last[0]}" cy="${last[1]}" r="3"></circle>` : '')
+            + '</svg>';
+    }
+
+    return {
+        barChart,
+        sparkline
+    };
+});
@@ -1,5 +1,7 @@
 // Game state
 let gameState = {
+    rules: 'greedy',
+    limits: WordishRules.getPuzzleLimits(null),
     adjectives: [],
     noun: '',
     remainingAdjectives: [],
@@ -9,6 +11,9 @@ let gameState = {
     isWon: false,
     isLost: false,
     isElegant: false,
+    hintsUsed: 0,
+    hardMode: false,
+    undoUsed: false,
     puzzleDate: ''
 };
 
@@ -19,25 +24,33 @@ let countdownInterval = null;
 
 let allowedFoods = null;
 let blockedFoods = new Set();
+let foodPools = new Map(); // themed ingredientPool name -> Set of allowed foods
+let missingPools = new Set(); // themed pools that failed to load: their puzzles accept any food, with a notice
+// Where the data files came from: 'network', 'cache' (answered by sw.js from its saved copy) or 'missing'
+let dataSources = { puzzles: 'missing', foods: 'missing' };
 let lastRejectedIngredient = null;
 let lastAttemptWasNewBest = false;
+let hintCache = null; // { key, hints } so re-renders don't re-run the solver
+let previewMatch = null; // { keys, matched, waste } for the letters being typed (preview setting)
+let speedClockInterval = null; // ticks the speed-run clock while a timed run is in progress
+let practiceWords = null; // { adjectives, nouns } from practice-words.json, loaded on the first practice round
+let achievementDefinitions = []; // from achievements.json (WordishAchievements), loaded at startup
+let achievementToastTimeout = null;
 let currentView = 'game'; // 'game' | 'archive'
 let archiveCalendarMonth = 1;   // 1–12, default set when opening archive
 let archiveCalendarYear = 2026;
 
 // Animation state for letter-by-letter reveal
-let animationState = null; // { ingredient, result, revealedCount, adjArrays, nounArray }
+let animationState = null; // { ingredient, result, revealedCount }
 let lastFadedRecipeCount = -1; // so we only fade in a row once per new ingredient
 const FLIP_DURATION_MS = 550;  /* matches .puzzle-flip-inner transition in CSS */
 const ANIMATION_OVERLAP = 0.5; /* letter flips: next starts when previous is this fraction done */
 const VICTORY_OVERLAP = 0.75;  /* victory sequence only: next phase starts when previous is 75% done */
 /* Time from starting one flip to starting the next. */
 const INTERVAL_BETWEEN_FLIP_STARTS_MS = Math.round(FLIP_DURATION_MS * ANIMATION_OVERLAP);
-const MAX_MOVES = 5;
-const ELEGANT_MAX_MOVES = 3;
-const STAR_MATCH_THRESHOLD = 6;
-const TROPHY_WASTE_PERCENT = 25;
-const MAX_INGREDIENT_LENGTH = 12;
+
+// Matching, validation and scoring live in rules.js (loaded before this file)
+const { TROPHY_WASTE_PERCENT, MAX_INGREDIENT_LENGTH, getPuzzleAdjectives, isBetterRun } = WordishRules;
 
 // Get real Helsinki timezone date string (YYYY-MM-DD) - without debug override
 function getRealHelsinkiDate() {
@@ -89,10 +102,51 @@ async function loadPuzzles() {
         const response = await fetch('puzzles.json');
         if (!response.ok) throw new Error('Failed to load puzzles');
         puzzles = await response.json();
+        dataSources.puzzles = getResponseSource(response);
     } catch (error) {
         console.error('Error loading puzzles:', error);
         puzzles = [];
+        dataSources.puzzles = 'missing';
+    }
+    updateOfflineNotice();
+}
+
+// sw.js marks responses it answered from its cache
+function getResponseSource(response) {
+    return response.headers && response.headers.get('X-Wordish-Source') === 'cache' ? 'cache' : 'network';
+}
+
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+// Note under the header: a themed dish whose menu didn't load, else "offline" while playing from cached data files
+function updateOfflineNotice() {
+    const el = document.getElementById('offlineNotice');
+    if (!el) return;
+    const theme = WordishRules.getPuzzleTheme(currentPuzzle);
+    if (theme.pool && missingPools.has(theme.pool)) {
+        el.hidden = false;
+        el.textContent = `The ${theme.name || 'themed'} menu couldn't be loaded, so any food is accepted for this dish.`;
+        return;
     }
+    const fromCache = dataSources.puzzles === 'cache' || dataSources.foods === 'cache';
+    el.hidden = !(isOffline() && fromCache);
+    el.textContent = "You're offline. Playing from the copy saved on this device.";
+}
+
+// Text for the no-puzzle screen: a calendar without today's puzzle, or no calendar at all
+function getNoPuzzleText() {
+    if (dataSources.puzzles !== 'missing') return 'No puzzle yet';
+    return isOffline()
+        ? "You're offline, and no puzzles have been saved on this device yet."
+        : "Puzzles couldn't be loaded. Please try again later.";
+}
+
+function showNoPuzzleMessage() {
+    const text = document.getElementById('noPuzzleText');
+    if (text) text.textContent = getNoPuzzleText();
+    document.getElementById('noPuzzleMessage').style.display = 'block';
 }
 
 // Load food allow/block lists for ingredient validation
@@ -107,28 +161,95 @@ async function loadFoodLists() {
         const blocked = blockedRes.ok ? await blockedRes.json() : [];
         allowedFoods = new Set(foods.map(f => String(f).toUpperCase().trim()));
         blockedFoods = new Set((blocked || []).map(b => String(b).toUpperCase().trim()));
+        dataSources.foods = getResponseSource(foodsRes);
     } catch (error) {
         console.warn('Could not load food lists, allowing all:', error);
         allowedFoods = null;
         blockedFoods = new Set();
+        dataSources.foods = 'missing';
     }
+    updateOfflineNotice();
+    await loadIngredientPools();
 }
 
-// Find puzzle for today
-function findTodayPuzzle() {
-    const today = getHelsinkiDate();
-    return puzzles.find(p => p.date === today);
+// Load every themed pool (pools/<name>.json) that puzzles.json references. A pool that fails to
+// load is left out, so its puzzles fall back to the full food list rather than rejecting everything,
+// and the notice under the header says so while one of them is open.
+async function loadIngredientPools() {
+    foodPools = new Map();
+    missingPools = new Set();
+    const names = [...new Set(puzzles.map(p => WordishRules.getPuzzleTheme(p).pool).filter(Boolean))];
+    await Promise.all(names.map(async (name) => {
+        try {
+            const res = await fetch(`pools/${name}.json`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const foods = await res.json();
+            foodPools.set(name, new Set(foods.map(f => String(f).toUpperCase().trim())));
+        } catch (error) {
+            console.warn(`Could not load ingredient pool "${name}", using the full food list:`, error);
+            missingPools.add(name);
+        }
+    }));
+    updateOfflineNotice();
+}
+
+// Ingredients allowed for the current puzzle: its themed pool when it has one, else the full list (null = allow all)
+function getAllowedFoods() {
+    const pool = WordishRules.getPuzzleTheme(currentPuzzle).pool;
+    return (pool && foodPools.get(pool)) || allowedFoods;
+}
+
+// Practice rounds: random dishes from practice-words.json, kept out of the daily stats, attempts and archive
+function isPracticeGame() {
+    return !!(currentPuzzle && currentPuzzle.practice);
+}
+
+// Achievement definitions are data (achievements.json); without them there are simply no achievements
+async function loadAchievements() {
+    try {
+        const res = await fetch('achievements.json');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const definitions = await res.json();
+        achievementDefinitions = Array.isArray(definitions) ? definitions : [];
+    } catch (error) {
+        console.warn('Could not load achievements:', error);
+        achievementDefinitions = [];
+    }
 }
 
-// Normalize puzzle to new format (adjectives array - 1 adjective)
-function getPuzzleAdjectives(puzzle) {
-    if (Array.isArray(puzzle.adjectives) && puzzle.adjectives.length >= 1) {
-        return puzzle.adjectives.slice(0, 1);
+async function loadPracticeWords() {
+    if (practiceWords) return practiceWords;
+    try {
+        const res = await fetch('practice-words.json');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        practiceWords = await res.json();
+    } catch (error) {
+        console.error('Error loading practice words:', error);
     }
-    if (puzzle.adjective) {
-        return [puzzle.adjective];
+    return practiceWords;
+}
+
+// Start a new practice round (PRACTICE / NEW DISH buttons)
+async function startPracticeRound() {
+    const words = await loadPracticeWords();
+    const avoid = new Set(puzzles.map(p => WordishPractice.pairKey(getPuzzleAdjectives(p)[0], p.noun)));
+    const puzzle = words && allowedFoods
+        ? WordishPractice.createPracticePuzzle(words, Array.from(allowedFoods), { blocked: blockedFoods, avoid })
+        : null;
+    if (!puzzle) {
+        openModal('Practice', '<p>No practice dish could be prepared right now. Please try again later.</p>');
+        return false;
     }
-    return [''];
+    loadPuzzle(puzzle);
+    showGameView();
+    if (window.posthog) posthog.capture('practice_started', { dish: [...puzzle.adjectives, puzzle.noun].join(' ') });
+    return true;
+}
+
+// Find puzzle for today
+function findTodayPuzzle() {
+    const today = getHelsinkiDate();
+    return puzzles.find(p => p.date === today);
 }
 
 // Get 1-based puzzle number from puzzles array
@@ -138,28 +259,26 @@ function getPuzzleNumber(puzzle) {
     return String(idx >= 0 ? idx + 1 : 1).padStart(3, '0');
 }
 
-// Load saved game state from localStorage for a puzzle, or return null to use fresh state
+// Load saved game state from storage for a puzzle, or return null to use fresh state
 function loadSavedState(puzzle) {
     const puzzleDate = puzzle.date;
     const adjectives = getPuzzleAdjectives(puzzle);
     const noun = puzzle.noun || '';
     try {
-        const savedState = localStorage.getItem(`dish_of_the_day_${puzzleDate}`);
+        const key = `dish_of_the_day_${puzzleDate}`;
+        const savedState = storage.getItem(key);
         if (!savedState) return null;
 
-        const parsed = JSON.parse(savedState);
-        if (!parsed || typeof parsed !== 'object') return null;
+        const parsed = readStoredJson(key, savedState, 'not a saved game');
+        if (!parsed) return null;
 
-        let remainingAdjectives;
-        if (Array.isArray(parsed.remainingAdjectives) && parsed.remainingAdjectives.length >= 1) {
-            remainingAdjectives = parsed.remainingAdjectives.slice(0, 1).map((r, i) => r || adjectives[i]);
-        } else if (parsed.remainingAdjective !== undefined) {
-            remainingAdjectives = [parsed.remainingAdjective || adjectives[0]];
-        } else {
-            remainingAdjectives = adjectives.slice();
-        }
+        const remainingAdjectives = Array.isArray(parsed.remainingAdjectives)
+            ? adjectives.map((adj, i) => (typeof parsed.remainingAdjectives[i] === 'string' ? parsed.remainingAdjectives[i] : adj))
+            : adjectives.slice();
 
         return {
+            rules: WordishRules.getPuzzleRules(puzzle),
+            limits: WordishRules.getPuzzleLimits(puzzle),
             adjectives: adjectives,
             noun: parsed.noun || noun,
             remainingAdjectives: remainingAdjectives,
@@ -169,6 +288,13 @@ function loadSavedState(puzzle) {
             isWon: parsed.isWon || false,
             isLost: parsed.isLost || false,
             isElegant: parsed.isElegant || false,
+            hintsUsed: parsed.hintsUsed || 0,
+            hardMode: !!parsed.hardMode,
+            undoUsed: !!parsed.undoUsed,
+            timed: !!parsed.timed,
+            startedAt: typeof parsed.startedAt === 'number' ? parsed.startedAt : null,
+            timeMs: typeof parsed.timeMs === 'number' ? parsed.timeMs : null,
+            rejected: Array.isArray(parsed.rejected) ? parsed.rejected : [],
             puzzleDate: puzzleDate
         };
     } catch (error) {
@@ -183,12 +309,12 @@ function initGame() {
     document.body.classList.remove('archive-view');
     document.getElementById('archiveContainer').style.display = 'none';
     try {
-        const savedDebugDate = localStorage.getItem('dish_of_the_day_debug_date');
+        const savedDebugDate = storage.getItem('dish_of_the_day_debug_date');
         if (savedDebugDate) {
             if (/^\d{4}-\d{2}-\d{2}$/.test(savedDebugDate)) {
                 debugDateOverride = savedDebugDate;
             } else {
-                localStorage.removeItem('dish_of_the_day_debug_date');
+                storage.removeItem('dish_of_the_day_debug_date');
             }
         }
     } catch (error) {
@@ -198,7 +324,7 @@ function initGame() {
     currentPuzzle = findTodayPuzzle();
     
     if (!currentPuzzle) {
-        document.getElementById('noPuzzleMessage').style.display = 'block';
+        showNoPuzzleMessage();
         document.getElementById('gameContainer').style.display = 'none';
         updateReplayViewClass();
         updatePreviousButtonState();
@@ -213,6 +339,7 @@ function initGame() {
 
     const puzzleDate = currentPuzzle.date;
     document.getElementById('dateDisplay').textContent = `#${getPuzzleNumber(currentPuzzle)}`;
+    updateThemeDisplay(currentPuzzle);
     
     const adjList = getPuzzleAdjectives(currentPuzzle);
     const dishName = [...adjList, currentPuzzle.noun].filter(Boolean).join(' ');
@@ -239,6 +366,16 @@ function initGame() {
     if (window.posthog) posthog.capture('game_loaded', { puzzle_date: puzzleDate });
 }
 
+// Theme name next to the puzzle number in the header (hidden for unthemed puzzles)
+function updateThemeDisplay(puzzle) {
+    const el = document.getElementById('themeDisplay');
+    if (!el) return;
+    const name = WordishRules.getPuzzleTheme(puzzle).name;
+    el.textContent = name;
+    el.hidden = !name;
+    updateOfflineNotice();
+}
+
 const PUZZLE_DATE_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
 
 function formatPuzzleDate(dateStr) {
@@ -257,14 +394,15 @@ function updatePuzzleLabel() {
     if (!el || !currentPuzzle) return;
     const today = getHelsinkiDate();
     const isToday = currentPuzzle.date === today;
-    el.textContent = isToday ? 'DISH OF THE DAY' : formatPuzzleDate(currentPuzzle.date);
+    const practice = isPracticeGame();
+    el.textContent = practice ? 'PRACTICE' : isToday ? 'DISH OF THE DAY' : formatPuzzleDate(currentPuzzle.date);
     if (countdownWrap) countdownWrap.style.display = isToday ? '' : 'none';
-    if (wrap) wrap.classList.toggle('puzzle-date-archive', !isToday);
+    if (wrap) wrap.classList.toggle('puzzle-date-archive', !isToday && !practice);
 }
 
 // Keep body.replay-view in sync so archive puzzles get the parchment theme
 function updateReplayViewClass() {
-    const isReplay = currentView === 'game' && currentPuzzle && currentPuzzle.date !== getHelsinkiDate();
+    const isReplay = currentView === 'game' && currentPuzzle && !isPracticeGame() && currentPuzzle.date !== getHelsinkiDate();
     document.body.classList.toggle('replay-view', !!isReplay);
 }
 
@@ -292,7 +430,8 @@ function updateFooterReplayControls() {
     const nextPuzzleBtn = document.getElementById('nextPuzzleBtn');
     if (!prevPuzzleBtn || !nextPuzzleBtn) return;
 
-    const onReplayPuzzle = currentView === 'game' && currentPuzzle && puzzles.length > 0 && currentPuzzle.date !== getRealHelsinkiDate();
+    const onReplayPuzzle = currentView === 'game' && currentPuzzle && !isPracticeGame() && puzzles.length > 0 &&
+        currentPuzzle.date !== getRealHelsinkiDate();
     prevPuzzleBtn.style.display = onReplayPuzzle ? '' : 'none';
     nextPuzzleBtn.style.display = onReplayPuzzle ? '' : 'none';
     if (!onReplayPuzzle) return;
@@ -310,28 +449,22 @@ function updateFooterReplayControls() {
     nextPuzzleBtn.setAttribute('title', hasNext ? (nextIsToday ? 'Today\'s puzzle' : 'Next puzzle') : 'No next puzzle');
 }
 
+// Fresh state for currentPuzzle; hard mode and speed run are fixed for the whole run when it starts
 function resetGameState() {
-    const adjectives = getPuzzleAdjectives(currentPuzzle);
-    gameState = {
-        adjectives: adjectives,
-        noun: currentPuzzle.noun,
-        remainingAdjectives: adjectives.slice(),
-        remainingNoun: currentPuzzle.noun,
-        moves: 0,
-        history: [],
-        isWon: false,
-        isLost: false,
-        isElegant: false,
-        puzzleDate: currentPuzzle.date
-    };
+    gameState = WordishRules.createState(currentPuzzle);
+    gameState.hardMode = isHardMode();
+    gameState.timed = isSpeedRun();
+    gameState.startedAt = null;
+    gameState.timeMs = null;
 }
 
-// Save game state to localStorage
+// Save game state to storage (practice rounds aren't saved; a reload returns to today's puzzle)
 function saveGameState() {
+    if (isPracticeGame()) return;
     try {
         const key = `dish_of_the_day_${gameState.puzzleDate}`;
         const value = JSON.stringify(gameState);
-        localStorage.setItem(key, value);
+        storage.setItem(key, value);
     } catch (error) {
         if (error.name === 'QuotaExceededError') {
             console.error('localStorage quota exceeded. Game state not saved.');
@@ -341,13 +474,143 @@ function saveGameState() {
     }
 }
 
-const STATS_KEY = 'dish_of_the_day_stats';
-const ATTEMPTS_KEY = 'dish_of_the_day_attempts';
-const DARK_MODE_KEY = 'dish_of_the_day_dark_mode';
+const LOG_KEY = WordishStorage.KEYS.log;
+const DARK_MODE_KEY = WordishStorage.KEYS.darkMode;
+const HARD_MODE_KEY = WordishStorage.KEYS.hardMode;
+const PREVIEW_KEY = WordishStorage.KEYS.preview;
+const PRACTICE_STATS_KEY = WordishStorage.KEYS.practiceStats;
+const SPEED_RUN_KEY = WordishStorage.KEYS.speedRun;
+const DAILY_REMINDER_KEY = WordishStorage.KEYS.dailyReminder;
+const SYNC_URL_KEY = WordishStorage.KEYS.syncUrl;
+const SYNC_DELAY_MS = 2000; // quiet time after the last write before progress is synced
+const ACHIEVEMENTS_KEY = WordishStorage.KEYS.achievements;
+const ACHIEVEMENT_TOAST_MS = 4000;
+
+// Progress is read and written through a storage backend (storage.js): localStorage, or localStorage
+// synced with the server set under Settings → Sync.
+let storage = createStorageBackend();
+let syncTimer = null;
+
+function createStorageBackend() {
+    const local = WordishStorage.createLocalBackend(() => localStorage);
+    let url = null;
+    try {
+        url = local.getItem(SYNC_URL_KEY);
+    } catch (_) {}
+    // Progress from the server is migrated on the local backend, so migrating doesn't count as a change to sync
+    return url
+        ? WordishStorage.createRestBackend({ url, local, onChange: scheduleSync, onMerge: (merged) => runStorageMigrations(0, merged) })
+        : local;
+}
+
+function isSyncEnabled() {
+    return typeof storage.sync === 'function';
+}
+
+function scheduleSync() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncProgress, SYNC_DELAY_MS);
+}
+
+// Sync now; when the server had progress from another device, redraw with it. Returns the backend's result.
+// The open puzzle is reloaded only when its own save changed, and never while an ingredient animates
+// (processIngredient writes its state when the animation ends).
+async function syncProgress() {
+    clearTimeout(syncTimer);
+    if (!isSyncEnabled()) return null;
+    const result = await storage.sync();
+    updateSyncStatus(result);
+    if (result.ok && result.changed) {
+        setDarkMode(isDarkMode());
+        if (currentView === 'archive') {
+            renderArchiveCalendar();
+        } else if (currentPuzzle && !isPracticeGame() && animationState === null && gameState
+            && storage.getItem(`dish_of_the_day_${currentPuzzle.date}`) !== JSON.stringify(gameState)) {
+            loadPuzzle(currentPuzzle);
+        }
+    }
+    return result;
+}
+
+function updateSyncStatus(result) {
+    const status = document.getElementById('settingsSyncStatus');
+    if (!status || !result) return;
+    status.textContent = result.ok ? 'Synced.' : result.error;
+    status.classList.toggle('settings-profile-status-error', !result.ok);
+}
+
+/**
+ * Set (or with an empty url, clear) the sync server. Returns an error sentence for the settings modal,
+ * or '' once it is saved; the first sync then runs in the background.
+ */
+function setSyncUrl(url) {
+    const value = (url || '').trim();
+    if (value) {
+        let parsed = null;
+        try {
+            parsed = new URL(value);
+        } catch (_) {}
+        const local = parsed && ['localhost', '127.0.0.1'].includes(parsed.hostname);
+        if (!parsed || !(parsed.protocol === 'https:' || (local && parsed.protocol === 'http:'))) {
+            return 'Enter the full https:// address of your sync server.';
+        }
+    }
+    try {
+        if (value) {
+            storage.setItem(SYNC_URL_KEY, value);
+        } else {
+            storage.removeItem(SYNC_URL_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving sync server:', error);
+        return 'The sync server could not be saved on this device.';
+    }
+    clearTimeout(syncTimer);
+    storage = createStorageBackend();
+    if (value) syncProgress();
+    if (window.posthog) posthog.capture('sync_server_set', { enabled: !!value });
+    return '';
+}
+
+// Bring stored progress up to the current schema (migrations.js). from = 0 runs every step again, for
+// progress that just arrived from an import or a sync. target defaults to the current backend.
+function runStorageMigrations(from, target = storage) {
+    try {
+        const result = WordishMigrations.runMigrations(target, { getLimits: getLimitsForDate, from });
+        if (result.quarantined) console.warn(`Moved ${result.quarantined} unreadable stored entries to ${WordishStorage.KEYS.quarantine}`);
+    } catch (error) {
+        console.error('Error migrating stored progress:', error);
+    }
+}
+
+// Set aside a stored entry that can't be read, so the next write doesn't overwrite it
+function quarantineEntry(key, raw, reason) {
+    try {
+        WordishMigrations.quarantine(storage, key, raw, reason);
+        storage.removeItem(key);
+        console.warn(`Moved unreadable ${key} to ${WordishStorage.KEYS.quarantine}: ${reason}`);
+    } catch (error) {
+        console.error('Error quarantining stored entry:', error);
+    }
+}
+
+// Parse a stored JSON object; anything else is quarantined and null returned
+function readStoredJson(key, raw, reason) {
+    let value = null;
+    try {
+        value = JSON.parse(raw);
+    } catch (_) {
+        quarantineEntry(key, raw, 'not valid JSON');
+        return null;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    quarantineEntry(key, raw, reason);
+    return null;
+}
 
 function isDarkMode() {
     try {
-        return localStorage.getItem(DARK_MODE_KEY) === '1';
+        return storage.getItem(DARK_MODE_KEY) === '1';
     } catch (e) {
         return false;
     }
@@ -357,176 +620,299 @@ function setDarkMode(enabled) {
     document.documentElement.setAttribute('data-theme', enabled ? 'dark' : 'light');
     try {
         if (enabled) {
-            localStorage.setItem(DARK_MODE_KEY, '1');
+            storage.setItem(DARK_MODE_KEY, '1');
         } else {
-            localStorage.removeItem(DARK_MODE_KEY);
+            storage.removeItem(DARK_MODE_KEY);
         }
     } catch (e) {}
 }
 
-// Load attempts data (per-puzzle first + best)
-function getAttemptsData() {
+function isHardMode() {
     try {
-        const raw = localStorage.getItem(ATTEMPTS_KEY);
-        if (!raw) return {};
-        const data = JSON.parse(raw);
-        return typeof data === 'object' && data !== null ? data : {};
-    } catch (_) {
-        return {};
+        return storage.getItem(HARD_MODE_KEY) === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Save the hard mode setting. Applies to the current game only if no ingredient has been added yet.
+function setHardMode(enabled) {
+    try {
+        if (enabled) {
+            storage.setItem(HARD_MODE_KEY, '1');
+        } else {
+            storage.removeItem(HARD_MODE_KEY);
+        }
+    } catch (e) {}
+    if (gameState.moves === 0 && !gameState.isWon && !gameState.isLost) {
+        gameState.hardMode = !!enabled;
+        if (currentPuzzle) saveGameState();
+        hintCache = null;
+        if (currentPuzzle && currentView === 'game') {
+            renderHints();
+            updateInputValidationState();
+        }
+    }
+}
+
+function isSpeedRun() {
+    try {
+        return storage.getItem(SPEED_RUN_KEY) === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Save the speed run setting. Like hard mode, applies to the current game only if its clock hasn't started.
+function setSpeedRun(enabled) {
+    try {
+        if (enabled) {
+            storage.setItem(SPEED_RUN_KEY, '1');
+        } else {
+            storage.removeItem(SPEED_RUN_KEY);
+        }
+    } catch (e) {}
+    if (gameState.moves === 0 && !gameState.startedAt && !gameState.isWon && !gameState.isLost) {
+        gameState.timed = !!enabled;
+        if (currentPuzzle) saveGameState();
+        if (currentPuzzle && currentView === 'game') {
+            renderSpeedClock();
+            renderHints();
+            updateInputValidationState();
+        }
+    }
+}
+
+// Speed run clock: starts on the first keystroke of a timed run and stops when the dish is won.
+// It is wall-clock time, so a run left open keeps counting (also across reloads).
+function startSpeedClock() {
+    if (!gameState.timed || gameState.startedAt || gameState.isWon || gameState.isLost) return;
+    gameState.startedAt = Date.now();
+    saveGameState();
+    renderSpeedClock();
+}
+
+function getSpeedTimeMs() {
+    if (typeof gameState.timeMs === 'number') return gameState.timeMs;
+    if (!gameState.startedAt || gameState.isLost) return 0;
+    return Date.now() - gameState.startedAt;
+}
+
+// 83500 -> "1:23"; an hour or more -> "1:02:03"
+function formatSpeedTime(ms) {
+    const total = Math.floor(Math.max(0, ms || 0) / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// Clock line under the star list: running time while playing, final time once won (hidden for untimed and lost runs)
+function renderSpeedClock() {
+    const el = document.getElementById('speedClock');
+    const running = !!(gameState.timed && gameState.startedAt && !gameState.isWon && !gameState.isLost);
+    if (running && !speedClockInterval) {
+        speedClockInterval = setInterval(renderSpeedClock, 1000);
+    } else if (!running && speedClockInterval) {
+        clearInterval(speedClockInterval);
+        speedClockInterval = null;
     }
+    if (!el) return;
+    el.hidden = !gameState.timed || gameState.isLost;
+    el.textContent = `⏱ TIME ${formatSpeedTime(getSpeedTimeMs())}`;
 }
 
-// Save attempts data
-function setAttemptsData(data) {
+function isPreviewEnabled() {
     try {
-        localStorage.setItem(ATTEMPTS_KEY, JSON.stringify(data));
+        return storage.getItem(PREVIEW_KEY) === '1';
     } catch (e) {
-        console.error('Error saving attempts:', e);
+        return false;
     }
 }
 
-// Returns true if (movesA, wasteA) is strictly better than (movesB, wasteB). Ingredients take priority.
-function isBetterRun(movesA, wasteA, movesB, wasteB) {
-    return (movesA < movesB) || (movesA === movesB && wasteA < wasteB);
+function setPreviewEnabled(enabled) {
+    try {
+        if (enabled) {
+            storage.setItem(PREVIEW_KEY, '1');
+        } else {
+            storage.removeItem(PREVIEW_KEY);
+        }
+    } catch (e) {}
+    updateInputValidationState();
 }
 
-// Whether any ingredient in history had 6+ matching letters (star ingredient)
-function getHadStarIngredient() {
-    if (!gameState.history || !gameState.history.length) return false;
-    return gameState.history.some(item => {
-        const matches = (item.result || []).filter(r => r.status === 'adj' || r.status === 'noun').length;
-        return matches >= STAR_MATCH_THRESHOLD;
-    });
+// Every finished daily run, oldest first (gamelog.js). Stats, stars and archive badges all come from it.
+function getGameLog() {
+    try {
+        const raw = storage.getItem(LOG_KEY);
+        const data = raw && readStoredJson(LOG_KEY, raw, 'not a game log');
+        if (data && Array.isArray(data.events)) return data.events.map(WordishGameLog.normalizeEvent).filter(Boolean);
+        if (data) quarantineEntry(LOG_KEY, raw, 'not a game log');
+    } catch (_) {}
+    return [];
+}
+
+// Per-puzzle first + best runs, summarized from the game log (WordishGameLog.summarize)
+function getAttemptsData() {
+    return WordishGameLog.summarize(getGameLog());
+}
+
+// Move limit and star targets for the puzzle on a date (defaults when the puzzle isn't loaded)
+function getLimitsForDate(dateStr) {
+    return WordishRules.getPuzzleLimits(puzzles.find(p => p.date === dateStr));
 }
 
-// Four stars: complete, elegant (≤3 moves), flavorful (6+ match), skillful (≤25% waste)
+// Four stars: complete, elegant (≤3 moves), flavorful (6+ match), skillful (≤25% waste, no hints)
 function getStarsForCurrentGame() {
-    const complete = gameState.isWon;
-    const elegant = complete && gameState.isElegant;
-    const flavorful = complete && getHadStarIngredient();
-    const waste = getWastePercent();
-    const skillful = complete && waste <= TROPHY_WASTE_PERCENT;
-    return { complete, elegant, flavorful, skillful };
+    return WordishRules.getStars(gameState);
 }
 
 // Sync the four star icons in the recipe section to current game state. Call after any change that affects stars.
+// Elegant/flavorful labels show the puzzle's own targets.
 function updateStarsDisplay() {
     const stars = getStarsForCurrentGame();
     const wrap = document.getElementById('completionStatsWrap');
     if (!wrap) return;
     const rows = wrap.querySelectorAll('.star-stat-row');
+    const limits = WordishRules.getStateLimits(gameState);
+    const labels = {
+        elegant: `ELEGANT (${limits.elegantMaxMoves} ingredient${limits.elegantMaxMoves === 1 ? '' : 's'} or less)`,
+        flavorful: `FLAVORFUL (an ingredient matched ${limits.starMatchThreshold}+ letters)`
+    };
     const keys = ['complete', 'elegant', 'flavorful', 'skillful'];
     keys.forEach((key, i) => {
         const icon = rows[i] && rows[i].querySelector('.star-stat-icon');
         if (icon) {
             icon.classList.toggle('star-stat-filled', !!stars[key]);
         }
+        const label = rows[i] && rows[i].querySelector('.star-stat-label');
+        if (label && labels[key]) label.textContent = labels[key];
     });
 }
 
-function getStarsForDate(dateStr) {
-    const entry = getAttemptEntryForDate(dateStr);
-    if (!entry || !entry.best) return { complete: false, elegant: false, flavorful: false, skillful: false };
-    const complete = true;
-    const elegant = entry.best.moves <= ELEGANT_MAX_MOVES;
-    const flavorful = hadStarIngredientForDate(dateStr);
-    const skillful = entry.best.waste <= TROPHY_WASTE_PERCENT;
-    return { complete, elegant, flavorful, skillful };
+// The date's stars (WordishGameLog.summarize: the best run's, flavorful from any run that counts).
+// attempts: a summary already made, so callers looking up many dates summarize the log once.
+function getStarsForDate(dateStr, attempts) {
+    const entry = getAttemptEntryForDate(dateStr, attempts);
+    if (!entry) return { complete: false, elegant: false, flavorful: false, skillful: false };
+    return entry.stars;
 }
 
-function getStarCountForDate(dateStr) {
-    const s = getStarsForDate(dateStr);
-    return (s.complete ? 1 : 0) + (s.elegant ? 1 : 0) + (s.flavorful ? 1 : 0) + (s.skillful ? 1 : 0);
+function getStarCountForDate(dateStr, attempts) {
+    return WordishRules.countStars(getStarsForDate(dateStr, attempts));
 }
 
-// Record first/best attempt for this puzzle. Call on game end (win or loss). Returns { isNewBest } for wins.
+// Log the finished run for this puzzle. Call on game end (win or loss). Returns { isNewBest } for wins.
+// A run is a replay when the date already has one; runs that used undo are logged but never become a best run.
 function recordAttempts() {
     if (!gameState.isWon && !gameState.isLost) return { isNewBest: false };
+    const events = getGameLog();
     const date = gameState.puzzleDate;
-    const moves = gameState.moves;
-    const waste = getWastePercent();
-    const won = gameState.isWon;
-    const hadStarIngredient = getHadStarIngredient();
-
-    const data = getAttemptsData();
-    const existing = data[date];
-    let isNewBest = false;
-
-    if (!existing) {
-        data[date] = {
-            first: { moves, waste, won },
-            best: won ? { moves, waste } : null,
-            hadStarIngredient: hadStarIngredient
-        };
-        if (won) isNewBest = true;
-    } else {
-        data[date].hadStarIngredient = existing.hadStarIngredient || hadStarIngredient;
-        if (won) {
-            const prevBest = existing.best;
-            const thisRun = { moves, waste };
-            if (!prevBest || isBetterRun(moves, waste, prevBest.moves, prevBest.waste)) {
-                data[date].best = thisRun;
-                isNewBest = true;
-            } else {
-                data[date].best = prevBest;
-            }
-        }
+    const previous = WordishGameLog.summarize(events.filter(e => e.date === date))[date];
+    const event = WordishGameLog.createRunEvent(gameState, Date.now(), !!previous);
+    const prevBest = previous && previous.best;
+    const isNewBest = WordishGameLog.countsTowardBest(event)
+        && (!prevBest || isBetterRun(event.moves, event.waste, prevBest.moves, prevBest.waste));
+    events.push(event);
+    try {
+        storage.setItem(LOG_KEY, JSON.stringify({ events }));
+    } catch (e) {
+        console.error('Error recording game:', e);
     }
-    setAttemptsData(data);
     return { isNewBest };
 }
 
-// Record a completed game (win or loss) for statistics
-function recordGameCompleted() {
-    if (!gameState.isWon && !gameState.isLost) return;
+// What achievements are checked against: the game log and the saved games' ingredients
+function getAchievementContext() {
+    return { events: getGameLog(), histories: getSavedGames().map(save => save.history) };
+}
+
+// Achievements this device has announced: { [id]: ms timestamp }
+function getUnlockedAchievements() {
     try {
-        const wastePercent = getWastePercent();
-        const entry = {
-            date: gameState.puzzleDate,
-            won: gameState.isWon,
-            moves: gameState.moves,
-            wastePercent,
-            elegant: !!gameState.isElegant,
-            trophy: wastePercent <= TROPHY_WASTE_PERCENT
-        };
-        let data = { games: [] };
-        try {
-            const raw = localStorage.getItem(STATS_KEY);
-            if (raw) data = JSON.parse(raw);
-            if (!Array.isArray(data.games)) data.games = [];
-        } catch (_) {}
-        data.games.push(entry);
-        localStorage.setItem(STATS_KEY, JSON.stringify(data));
-    } catch (e) {
-        console.error('Error recording stats:', e);
+        const raw = storage.getItem(ACHIEVEMENTS_KEY);
+        return (raw && readStoredJson(ACHIEVEMENTS_KEY, raw, 'not an achievements record')) || {};
+    } catch (_) {
+        return {};
+    }
+}
+
+// Check achievements after a daily dish is recorded. Returns the definitions earned for the first time.
+function recordAchievements() {
+    const unlocked = getUnlockedAchievements();
+    const earned = WordishAchievements.getNewlyEarned(achievementDefinitions, getAchievementContext(), unlocked);
+    if (!earned.length) return [];
+    const now = Date.now();
+    earned.forEach(def => { unlocked[def.id] = now; });
+    try {
+        storage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(unlocked));
+    } catch (error) {
+        console.error('Error saving achievements:', error);
+    }
+    return earned;
+}
+
+// Announce newly earned achievements for a few seconds
+function showAchievementToast(earned) {
+    const toast = document.getElementById('achievementToast');
+    if (!toast || !earned.length) return;
+    const names = earned.map(def => `${def.icon || '🏅'} ${def.title}`).join(', ');
+    toast.textContent = `Achievement unlocked: ${names}`;
+    toast.hidden = false;
+    clearTimeout(achievementToastTimeout);
+    achievementToastTimeout = setTimeout(() => {
+        toast.hidden = true;
+        achievementToastTimeout = null;
+    }, ACHIEVEMENT_TOAST_MS);
+}
+
+// Practice rounds are summed into their own record (WordishPractice.recordPracticeResult)
+function getPracticeStats() {
+    try {
+        const raw = storage.getItem(PRACTICE_STATS_KEY);
+        return Object.assign(WordishPractice.createPracticeStats(), raw ? readStoredJson(PRACTICE_STATS_KEY, raw, 'not a practice stats record') : {});
+    } catch (_) {
+        return WordishPractice.createPracticeStats();
     }
 }
 
+function recordPracticeCompleted() {
+    const stars = WordishRules.countStars(getStarsForCurrentGame());
+    const stats = WordishPractice.recordPracticeResult(getPracticeStats(), gameState, stars);
+    try {
+        storage.setItem(PRACTICE_STATS_KEY, JSON.stringify(stats));
+    } catch (error) {
+        console.error('Error saving practice stats:', error);
+    }
+}
+
+// Stats modal charts: the stars trend covers this many days, the waste histogram buckets this many percent
+const STARS_TREND_DAYS = 30;
+const WASTE_BUCKET_PERCENT = 20;
+// Pantry tab lists show this many ingredients
+const PANTRY_LIST_LENGTH = 10;
+
 // Load and compute stats for the stats modal
+// Dish counts, percentages, streaks and distributions use each date's first run, so replays can't inflate or
+// break them
 function getStats() {
-    let games = [];
-    try {
-        const raw = localStorage.getItem(STATS_KEY);
-        if (raw) {
-            const data = JSON.parse(raw);
-            if (Array.isArray(data.games)) games = data.games;
-        }
-    } catch (_) {}
+    const events = getGameLog();
+    const games = WordishGameLog.getFirstRuns(events);
     const dishesAttempted = games.length;
     const wins = games.filter(g => g.won);
     const dishSuccessesPercent = dishesAttempted > 0 ? Math.round((wins.length / dishesAttempted) * 100) : 0;
     const averageWastePercent = games.length > 0
-        ? Math.round(games.reduce((s, g) => s + (g.wastePercent || 0), 0) / games.length)
+        ? Math.round(games.reduce((s, g) => s + g.waste, 0) / games.length)
         : 0;
     const elegantPercent = wins.length > 0
-        ? Math.round((wins.filter(g => g.elegant).length / wins.length) * 100)
+        ? Math.round((wins.filter(g => g.stars.elegant).length / wins.length) * 100)
         : 0;
     const averageIngredients = games.length > 0
-        ? (games.reduce((s, g) => s + (g.moves || 0), 0) / games.length).toFixed(1)
+        ? (games.reduce((s, g) => s + g.moves, 0) / games.length).toFixed(1)
         : '0.0';
 
     const today = getRealHelsinkiDate();
-    const datesPlayed = [...new Set(games.map(g => g.date))].sort().reverse();
+    const datesPlayed = games.map(g => g.date).reverse();
     let attemptStreak = 0;
     if (datesPlayed.length > 0) {
         let check = today;
@@ -543,12 +929,47 @@ function getStats() {
         if (games[i].won) successStreak++;
         else break;
     }
-
-    const attemptsData = getAttemptsData();
+    let maxSuccessStreak = 0;
+    let winRun = 0;
+    for (const game of games) {
+        winRun = game.won ? winRun + 1 : 0;
+        maxSuccessStreak = Math.max(maxSuccessStreak, winRun);
+    }
+
+    // Wins by ingredients used: 1 to MAX_MOVES, or further for puzzles that allowed more
+    const guessDistribution = new Array(Math.max(WordishRules.MAX_MOVES, ...wins.map(g => g.moves))).fill(0);
+    wins.forEach(g => { if (g.moves >= 1) guessDistribution[g.moves - 1]++; });
+    // First runs by waste percent, in buckets of WASTE_BUCKET_PERCENT (100% goes in the last one)
+    const wasteHistogram = new Array(Math.ceil(100 / WASTE_BUCKET_PERCENT)).fill(0);
+    games.forEach(g => { wasteHistogram[Math.min(wasteHistogram.length - 1, Math.floor(g.waste / WASTE_BUCKET_PERCENT))]++; });
+
+    // Hard mode counts dates played (and won) in hard mode at least once
+    const hardGames = events.filter(g => g.mode === 'hard');
+    const hardModeDishes = new Set(hardGames.map(g => g.date)).size;
+    const hardModeWins = new Set(hardGames.filter(g => g.won).map(g => g.date)).size;
+
+    // Speed-run times skip runs that used undo. Best time takes replays too (like the archive's),
+    // but the average is first runs only: a replay already knows the answer.
+    const isTimed = g => WordishGameLog.countsTowardBest(g) && typeof g.timeMs === 'number';
+    const times = events.filter(isTimed).map(g => g.timeMs);
+    const firstTimes = games.filter(isTimed).map(g => g.timeMs);
+    const timedWins = times.length;
+    const averageTimeMs = firstTimes.length ? Math.round(firstTimes.reduce((a, b) => a + b, 0) / firstTimes.length) : null;
+    const bestTimeMs = timedWins ? Math.min(...times) : null;
+
+    const attemptsData = WordishGameLog.summarize(events);
     let totalStars = 0;
-    for (const dateStr of Object.keys(attemptsData)) {
-        const entry = attemptsData[dateStr];
-        if (entry && entry.best) totalStars += getStarCountForDate(dateStr);
+    // Dates that earned each star
+    const starCounts = { complete: 0, elegant: 0, flavorful: 0, skillful: 0 };
+    for (const entry of Object.values(attemptsData)) {
+        totalStars += WordishRules.countStars(entry.stars);
+        Object.keys(starCounts).forEach(name => { if (entry.stars[name]) starCounts[name]++; });
+    }
+    // Stars earned on each of the last STARS_TREND_DAYS days, oldest first, ending today
+    const starsByDay = [];
+    for (let i = STARS_TREND_DAYS - 1; i >= 0; i--) {
+        const entry = attemptsData[offsetDate(today, -i)];
+        starsByDay.push(entry ? WordishRules.countStars(entry.stars) : 0);
     }
 
     return {
@@ -556,63 +977,36 @@ function getStats() {
         attemptStreak,
         dishSuccessesPercent,
         successStreak,
+        maxSuccessStreak,
         averageWastePercent,
         totalStars,
         elegantPercent,
-        averageIngredients
+        averageIngredients,
+        hardModeDishes,
+        hardModeWins,
+        timedWins,
+        averageTimeMs,
+        bestTimeMs,
+        guessDistribution,
+        wasteHistogram,
+        starCounts,
+        starsByDay
     };
 }
 
-// Set of "lineIndex,indexInLine" for positions that have been matched (from history + current animation).
-function getMatchedPositionKeys() {
-    const keys = new Set();
-    for (const item of (gameState.history || [])) {
-        if (!item.result) continue;
-        for (const r of item.result) {
-            if ((r.status === 'adj' || r.status === 'noun') && typeof r.lineIndex === 'number' && typeof r.indexInLine === 'number') {
-                keys.add(`${r.lineIndex},${r.indexInLine}`);
-            }
-        }
-    }
-    if (animationState && animationState.result) {
-        for (const r of animationState.result) {
-            if ((r.status === 'adj' || r.status === 'noun') && typeof r.lineIndex === 'number' && typeof r.indexInLine === 'number') {
-                keys.add(`${r.lineIndex},${r.indexInLine}`);
-            }
-        }
-    }
-    return keys;
-}
-
 // Get letter states for puzzle display: active, matched (by position so repeated letters are correct).
+// Includes the letters revealed so far by the current animation.
 function getLetterStatesForDisplay() {
-    const adjectives = gameState.adjectives || [];
-    const noun = gameState.noun || '';
-    const matchedKeys = getMatchedPositionKeys();
-    const result = { adj: [], noun: [] };
-
-    function processLine(original, lineIndex) {
-        const letters = [];
-        const chars = (original || '').trim().split('');
-        for (let indexInLine = 0; indexInLine < chars.length; indexInLine++) {
-            const key = `${lineIndex},${indexInLine}`;
-            const state = matchedKeys.has(key) ? 'matched' : 'active';
-            letters.push({ char: chars[indexInLine], state });
-        }
-        return letters;
-    }
-
-    result.adj = processLine(adjectives[0] || '', 0);
-    result.noun = processLine(noun, 1);
-    return result;
+    const inFlight = animationState && animationState.result ? [animationState.result] : [];
+    return WordishRules.getLetterStates(gameState, inFlight);
 }
 
-// Return the k-th (0-based) "matched" cell position in display order (adj line then noun line, left to right).
+// Return the k-th (0-based) "matched" cell position in display order (adjective lines then noun line, left to right).
 // Used so flip tile position matches the cell that is visually "matched" for the k-th submission letter.
 function getKthMatchedPosition(letterStates, k) {
     let count = 0;
-    for (let lineIndex = 0; lineIndex < 2; lineIndex++) {
-        const letters = lineIndex === 0 ? letterStates.adj : letterStates.noun;
+    for (let lineIndex = 0; lineIndex < letterStates.length; lineIndex++) {
+        const letters = letterStates[lineIndex];
         for (let indexInLine = 0; indexInLine < letters.length; indexInLine++) {
             if (letters[indexInLine].state === 'matched') {
                 if (count === k) return { lineIndex, indexInLine };
@@ -679,8 +1073,7 @@ function flipAllPuzzleToBlank(stack, onDone) {
         });
         stack.appendChild(line);
     }
-    appendLine(letterStates.adj);
-    appendLine(letterStates.noun);
+    letterStates.forEach(appendLine);
 
     // Add .flipped immediately so the first paint shows green (avoids flash of puzzle name).
     const tiles = stack.querySelectorAll('.puzzle-flip-tile');
@@ -755,7 +1148,7 @@ function buildHeadingFlipReveal(headingEl, text) {
     });
 }
 
-// Build puzzle display: two lines — adjective on line 1, noun on line 2, both centered
+// Build puzzle display: one centered line per adjective, then the noun on the last line
 function renderPuzzleStack() {
     const stack = document.getElementById('puzzleStack');
     if (!stack) return;
@@ -815,8 +1208,9 @@ function renderPuzzleStack() {
     }
 
     stack.innerHTML = '';
-    appendLine(letterStates.adj, 0);
-    appendLine(letterStates.noun, 1);
+    stack.classList.toggle('puzzle-stack-multi', letterStates.length > 2);
+    letterStates.forEach((letters, lineIndex) => appendLine(letters, lineIndex));
+    if (!animating) applyIngredientPreview();
 
     const newTile = stack.querySelector('.puzzle-flip-new');
     if (newTile) {
@@ -861,8 +1255,7 @@ function advancePuzzleFlip() {
     const line = stack.children[lineIndex];
     if (!line || indexInLine >= line.children.length) return;
 
-    const letterStates = getLetterStatesForDisplay();
-    const letters = lineIndex === 0 ? letterStates.adj : letterStates.noun;
+    const letters = getLetterStatesForDisplay()[lineIndex] || [];
     const puzzleChar = letters[indexInLine] ? letters[indexInLine].char : current.letter;
 
     const tile = document.createElement('div');
@@ -927,42 +1320,19 @@ function buildVictoryGridHTML() {
 
 // Get star ingredient: most matches, then least waste, then earliest
 function getStarIngredient() {
-    if (!gameState.history.length) return null;
-    let best = null;
-    let bestMatches = -1;
-    let bestWaste = Infinity;
-    let bestIndex = Infinity;
-    for (let i = 0; i < gameState.history.length; i++) {
-        const item = gameState.history[i];
-        const matches = item.result.filter(r => (r.status || '') === 'adj' || (r.status || '') === 'noun').length;
-        const waste = item.result.filter(r => (r.status || '') === 'plain').length;
-        if (matches > bestMatches ||
-            (matches === bestMatches && waste < bestWaste) ||
-            (matches === bestMatches && waste === bestWaste && i < bestIndex)) {
-            best = item.ingredient;
-            bestMatches = matches;
-            bestWaste = waste;
-            bestIndex = i;
-        }
-    }
-    return best;
+    const item = WordishRules.getStarIngredientItem(gameState.history);
+    return item ? item.ingredient : null;
 }
 
 // Match count for the star (top) ingredient
 function getStarIngredientMatchCount() {
-    const name = getStarIngredient();
-    if (!name) return 0;
-    const item = gameState.history.find(h => h.ingredient === name);
-    if (!item) return 0;
-    return item.result.filter(r => (r.status || '') === 'adj' || (r.status || '') === 'noun').length;
+    const item = WordishRules.getStarIngredientItem(gameState.history);
+    return item ? WordishRules.countMatches(item.result) : 0;
 }
 
 // Calculate waste percentage (letters not matched)
 function getWastePercent() {
-    const totalLetters = gameState.history.reduce((sum, item) => sum + item.ingredient.length, 0);
-    const wasteLetters = gameState.history.reduce((sum, item) =>
-        sum + item.result.filter(r => (r.status || '') === 'plain').length, 0);
-    return totalLetters > 0 ? Math.round((wasteLetters / totalLetters) * 100) : 0;
+    return WordishRules.getWastePercent(gameState.history);
 }
 
 // Show playing UI (input bar, YOUR RECIPE, hide completion elements)
@@ -1029,21 +1399,35 @@ function showCompletionView() {
     if (footerCompletionActions) {
         footerCompletionActions.innerHTML = '';
         footerCompletionActions.classList.remove('completion-actions-visible');
-        const shareBtn = document.createElement('button');
-        shareBtn.id = 'footerShareBtn';
-        shareBtn.type = 'button';
-        shareBtn.className = 'nav-btn nav-btn-share';
-        shareBtn.textContent = 'SHARE';
-        shareBtn.setAttribute('aria-label', 'Share results');
-        shareBtn.addEventListener('click', handleShare);
+        const practice = isPracticeGame();
         const replayBtn = document.createElement('button');
         replayBtn.type = 'button';
         replayBtn.className = 'nav-btn';
         replayBtn.textContent = 'REPLAY';
         replayBtn.setAttribute('aria-label', 'Replay this puzzle');
         replayBtn.addEventListener('click', handleRetry);
-        footerCompletionActions.appendChild(shareBtn);
+        // Practice dishes have no number to share; today's finished puzzle and practice rounds offer another dish
+        if (!practice) {
+            const shareBtn = document.createElement('button');
+            shareBtn.id = 'footerShareBtn';
+            shareBtn.type = 'button';
+            shareBtn.className = 'nav-btn nav-btn-share';
+            shareBtn.textContent = 'SHARE';
+            shareBtn.setAttribute('aria-label', 'Share results');
+            shareBtn.addEventListener('click', handleShare);
+            footerCompletionActions.appendChild(shareBtn);
+        }
         footerCompletionActions.appendChild(replayBtn);
+        if (practice || currentPuzzle.date === getRealHelsinkiDate()) {
+            const practiceBtn = document.createElement('button');
+            practiceBtn.id = 'footerPracticeBtn';
+            practiceBtn.type = 'button';
+            practiceBtn.className = 'nav-btn';
+            practiceBtn.textContent = practice ? 'NEW DISH' : 'PRACTICE';
+            practiceBtn.setAttribute('aria-label', practice ? 'New practice dish' : 'Practice with a random dish');
+            practiceBtn.addEventListener('click', startPracticeRound);
+            footerCompletionActions.appendChild(practiceBtn);
+        }
         if (!gameState.justCompleted) footerCompletionActions.classList.add('completion-actions-visible');
     }
 
@@ -1093,6 +1477,9 @@ function updateDisplay() {
         updateInputValidationState();
     }
 
+    renderHints();
+    renderUndoButton();
+    renderSpeedClock();
     updatePreviousButtonState();
 }
 
@@ -1141,11 +1528,15 @@ function updateInputValidationState() {
 
     const len = currentValue.length;
     if (len > MAX_INGREDIENT_LENGTH) {
+        updateIngredientPreview('');
         showInputFeedback('That ingredient has more than 12 letters.', 'highlight');
         input.setAttribute('aria-invalid', 'true');
         submitBtn.disabled = true;
     } else {
-        showInputFeedback('');
+        updateIngredientPreview(currentValue);
+        showInputFeedback(previewMatch
+            ? `Would match ${previewMatch.matched} letter${previewMatch.matched === 1 ? '' : 's'}, ${previewMatch.waste} wasted.`
+            : '', '', false);
         input.setAttribute('aria-invalid', 'false');
         if (!gameState.isWon && !gameState.isLost) {
             submitBtn.disabled = false;
@@ -1153,105 +1544,174 @@ function updateInputValidationState() {
     }
 }
 
-// Sleep helper for animation delays
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Preview is a player setting (off by default) and never available in hard mode or speed runs
+function isPreviewActive() {
+    return isPreviewEnabled() && !gameState.hardMode && !gameState.timed && !gameState.isWon && !gameState.isLost && animationState === null;
 }
 
-// Build active (remaining) letters arrays from display states, preserving original indices.
-function buildActiveFromStates(states) {
-    const chars = [];
-    const indices = [];
-    for (let i = 0; i < states.length; i++) {
-        const s = states[i];
-        if (s && s.state === 'active') {
-            chars.push(s.char);
-            indices.push(i);
-        }
+// Work out which tiles the typed letters would consume, using the same greedy adj → noun
+// pass (WordishRules.matchIngredient / matchOneLetterActive) as a real submission.
+function updateIngredientPreview(letters) {
+    previewMatch = null;
+    if (letters && isPreviewActive()) {
+        const { result } = WordishRules.matchIngredient(gameState, letters);
+        previewMatch = {
+            keys: WordishRules.getMatchedPositionKeys([result]),
+            matched: WordishRules.countMatches(result),
+            waste: WordishRules.countWaste(result)
+        };
     }
-    return { chars, indices };
+    applyIngredientPreview();
 }
 
-// Match one letter against active arrays (adj → noun) in display order; returns original index.
-function matchOneLetterActive(letter, activeAdj, activeNoun) {
-    for (let j = 0; j < activeAdj.chars.length; j++) {
-        if (activeAdj.chars[j] === letter) {
-            const originalIndex = activeAdj.indices[j];
-            activeAdj.chars.splice(j, 1);
-            activeAdj.indices.splice(j, 1);
-            return { status: 'adj', lineIndex: 0, indexInLine: originalIndex };
-        }
-    }
-    for (let j = 0; j < activeNoun.chars.length; j++) {
-        if (activeNoun.chars[j] === letter) {
-            const originalIndex = activeNoun.indices[j];
-            activeNoun.chars.splice(j, 1);
-            activeNoun.indices.splice(j, 1);
-            return { status: 'noun', lineIndex: 1, indexInLine: originalIndex };
-        }
-    }
-    return { status: 'plain' };
+// Toggle the preview highlight on #puzzleStack tiles (one child per letter, lines in order)
+function applyIngredientPreview() {
+    const stack = document.getElementById('puzzleStack');
+    if (!stack || gameState.isWon || gameState.isLost) return;
+    Array.from(stack.children).forEach((line, lineIndex) => {
+        Array.from(line.children).forEach((cell, indexInLine) => {
+            cell.classList.toggle('puzzle-letter-preview', !!previewMatch && previewMatch.keys.has(`${lineIndex},${indexInLine}`));
+        });
+    });
 }
 
-// Process an ingredient - letters match against combined puzzle left-to-right (adj → noun)
+// Show inline feedback for a rejected ingredient (reason from WordishRules.validateIngredient).
+// Food-list rejections stay visible until the player edits the input.
+function showIngredientRejection(reason, ingredient, required) {
+    const input = document.getElementById('ingredientInput');
+    if (reason === 'too_long') {
+        showInputFeedback('That ingredient has more than 12 letters.', 'highlight');
+    } else if (reason === 'invalid') {
+        showInputFeedback('Enter 2–12 letters', 'error');
+    } else if (reason === 'duplicate') {
+        showInputFeedback('Ingredient already in the dish.', 'error', false);
+    } else if (reason === 'too_few_matches') {
+        showInputFeedback(`Hard mode: each ingredient must match at least ${required} letter${required === 1 ? '' : 's'} still in the dish.`, 'error', false);
+    } else {
+        lastRejectedIngredient = ingredient;
+        const themeName = WordishRules.getPuzzleTheme(currentPuzzle).name;
+        const offTheme = reason === 'unknown' && themeName && allowedFoods && allowedFoods.has(ingredient);
+        showInputFeedback(reason === 'dish'
+            ? 'The challenge dish may not be used as an ingredient.'
+            : offTheme
+                ? `"${ingredient}" isn't on the ${themeName} menu.`
+                : `"${ingredient}" is not a recognized ingredient.`, 'highlight', !offTheme);
+    }
+    if (input) input.setAttribute('aria-invalid', 'true');
+}
+
+// Ingredients the game didn't recognize are kept on the save, once each, for the stats Pantry tab
+function recordRejectedIngredient(ingredient) {
+    const rejected = gameState.rejected || [];
+    if (rejected.includes(ingredient)) return;
+    gameState.rejected = rejected.concat([ingredient]);
+    saveGameState();
+}
+
+// Hint lines for every tier the player has revealed, computed against the current state.
+// Returns [] when the food list isn't loaded (no list to suggest from).
+function getHintLines() {
+    const tier = gameState.hintsUsed || 0;
+    const foods = getAllowedFoods();
+    if (!tier || !foods) return [];
+    const key = `${gameState.puzzleDate}|${gameState.noun}|${gameState.history.map(h => h.ingredient).join(',')}|${tier}`;
+    if (!hintCache || hintCache.key !== key) {
+        hintCache = { key, hints: WordishHints.getHints(gameState, Array.from(foods), blockedFoods, tier) };
+    }
+    const { usefulCount, letter, ingredient } = hintCache.hints;
+    const lines = [];
+    if (usefulCount !== undefined) {
+        lines.push(`${usefulCount} ingredient${usefulCount === 1 ? '' : 's'} could still clear a remaining letter.`);
+    }
+    if (letter) lines.push(`Target the letter ${letter} — it's the hardest one left.`);
+    if (ingredient) lines.push(`Try ${ingredient}.`);
+    return lines;
+}
+
+// Sync the hint button and revealed hints. Hidden once the game is over or without a food list;
+// disabled in speed runs, so recorded times stay comparable.
+function renderHints() {
+    const btn = document.getElementById('hintBtn');
+    const textEl = document.getElementById('hintText');
+    if (!btn || !textEl) return;
+    const playing = !gameState.isWon && !gameState.isLost && getAllowedFoods() !== null;
+    const used = gameState.hintsUsed || 0;
+    btn.style.display = playing ? '' : 'none';
+    btn.disabled = !playing || !!gameState.timed || used >= WordishHints.MAX_HINT_TIER || animationState !== null;
+    btn.textContent = used === 0 ? 'HINT' : (used >= WordishHints.MAX_HINT_TIER ? 'NO MORE HINTS' : 'NEXT HINT');
+    btn.setAttribute('title', gameState.timed ? 'No hints during a speed run' : 'Hints cost the SKILLFUL star');
+    const lines = playing ? getHintLines() : [];
+    textEl.innerHTML = lines.map(line => `<p class="hint-line">${line.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</p>`).join('');
+}
+
+// Reveal the next hint tier for this puzzle (saved with the game, so it survives reloads)
+function handleHintClick() {
+    if (gameState.isWon || gameState.isLost || gameState.timed || animationState !== null) return;
+    const used = gameState.hintsUsed || 0;
+    if (used >= WordishHints.MAX_HINT_TIER) return;
+    gameState.hintsUsed = used + 1;
+    saveGameState();
+    renderHints();
+    if (window.posthog) posthog.capture('hint_used', { puzzle_date: gameState.puzzleDate, tier: gameState.hintsUsed });
+}
+
+// Undo is for archive replays only: never on today's puzzle, only while the dish is still in progress
+function canUndo() {
+    return currentView === 'game' && !!currentPuzzle && currentPuzzle.date !== getHelsinkiDate() &&
+        gameState.history.length > 0 && !gameState.isWon && !gameState.isLost && animationState === null;
+}
+
+function renderUndoButton() {
+    const btn = document.getElementById('undoBtn');
+    if (!btn) return;
+    const onReplay = currentView === 'game' && !!currentPuzzle && currentPuzzle.date !== getHelsinkiDate();
+    btn.style.display = onReplay && !gameState.isWon && !gameState.isLost ? '' : 'none';
+    btn.disabled = !canUndo();
+}
+
+// Take back the last ingredient in a replay. The run is marked so it can't become a best run.
+function handleUndo() {
+    if (!canUndo()) return;
+    gameState = WordishRules.undoLastIngredient(gameState);
+    gameState.undoUsed = true;
+    saveGameState();
+    lastRejectedIngredient = null;
+    lastFadedRecipeCount = gameState.history.length; /* rebuilt rows shouldn't fade in again */
+    updateDisplay();
+    loadRecipe();
+    if (window.posthog) posthog.capture('ingredient_undone', { puzzle_date: gameState.puzzleDate, moves: gameState.moves });
+}
+
+// Sleep helper for animation delays
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Process an ingredient - letters match against combined puzzle left-to-right (adjectives → noun)
 // Returns a Promise that resolves to true if accepted, false if rejected (validation failure)
 async function processIngredient(ingredient) {
     if (gameState.isWon || gameState.isLost) return false;
+    startSpeedClock();
 
     const input = document.getElementById('ingredientInput');
     const submitBtn = document.getElementById('submitBtn');
-    ingredient = ingredient.toUpperCase().trim();
+    ingredient = WordishRules.normalizeIngredient(ingredient);
     showInputFeedback('');
 
-    if (ingredient.length > MAX_INGREDIENT_LENGTH) {
-        showInputFeedback('That ingredient has more than 12 letters.', 'highlight');
-        if (input) input.setAttribute('aria-invalid', 'true');
-        return false;
-    }
-
-    if (!new RegExp(`^[A-Z]{2,${MAX_INGREDIENT_LENGTH}}$`).test(ingredient)) {
-        showInputFeedback('Enter 2–12 letters', 'error');
-        if (input) input.setAttribute('aria-invalid', 'true');
-        return false;
-    }
-
-    const isDuplicate = gameState.history.some(h => (h.ingredient || '').toUpperCase() === ingredient);
-    if (isDuplicate) {
-        showInputFeedback('Ingredient already in the dish.', 'error', false);
-        if (input) input.setAttribute('aria-invalid', 'true');
-        return false;
-    }
-
-    const puzzleNoun = (gameState.noun || '').toUpperCase().trim();
-    if (puzzleNoun && ingredient === puzzleNoun) {
-        lastRejectedIngredient = ingredient;
-        showInputFeedback('The challenge dish may not be used as an ingredient.', 'highlight');
-        if (input) input.setAttribute('aria-invalid', 'true');
-        return false;
-    }
-
-    if (blockedFoods.has(ingredient)) {
-        lastRejectedIngredient = ingredient;
-        showInputFeedback(`"${ingredient}" is not a recognized ingredient.`, 'highlight');
-        if (input) input.setAttribute('aria-invalid', 'true');
-        return false;
-    }
-
-    if (allowedFoods !== null && !allowedFoods.has(ingredient)) {
-        lastRejectedIngredient = ingredient;
-        showInputFeedback(`"${ingredient}" is not a recognized ingredient.`, 'highlight');
-        if (input) input.setAttribute('aria-invalid', 'true');
+    const validation = WordishRules.validateIngredient(gameState, ingredient, { allowed: getAllowedFoods(), blocked: blockedFoods });
+    if (!validation.ok) {
+        if (validation.reason === 'unknown') recordRejectedIngredient(ingredient);
+        showIngredientRejection(validation.reason, ingredient, validation.required);
         return false;
     }
 
     lastRejectedIngredient = null;
+    previewMatch = null;
     if (input) input.setAttribute('aria-invalid', 'false');
 
-    const result = [];
-    // Build active arrays from current display state so we can match in original-index space.
-    const initialStates = getLetterStatesForDisplay();
-    const activeAdj = buildActiveFromStates(initialStates.adj);
-    const activeNoun = buildActiveFromStates(initialStates.noun);
+    const { state: nextState, result } = WordishRules.applyIngredient(gameState, ingredient);
+    // The clock stops at submit, not after the reveal animation
+    if (nextState.isWon && nextState.timed && nextState.startedAt) nextState.timeMs = Date.now() - nextState.startedAt;
 
     if (input) input.disabled = true;
     if (submitBtn) submitBtn.disabled = true;
@@ -1266,21 +1726,8 @@ async function processIngredient(ingredient) {
         loadRecipe();
     }
 
-    for (let i = 0; i < ingredient.length; i++) {
-        const letter = ingredient[i];
-        const matchResult = matchOneLetterActive(letter, activeAdj, activeNoun);
-        const { status, lineIndex, indexInLine } = matchResult;
-        const item = { letter, status };
-        if (status === 'adj' || status === 'noun') {
-            item.lineIndex = lineIndex;
-            item.indexInLine = indexInLine;
-        }
-        result.push(item);
-
-        gameState.remainingAdjectives = [activeAdj.chars.join('')];
-        gameState.remainingNoun = activeNoun.chars.join('');
-
-        animationState.result = result;
+    for (let i = 0; i < result.length; i++) {
+        animationState.result = result.slice(0, i + 1);
         animationState.revealedCount = i + 1;
 
         if (i === 0) {
@@ -1296,38 +1743,32 @@ async function processIngredient(ingredient) {
         }
 
         /* Start next flip when this one is 90% done: wait INTERVAL_BETWEEN_FLIP_STARTS_MS before triggering next. */
-        const didFlip = status === 'adj' || status === 'noun';
+        const didFlip = WordishRules.isMatchStatus(result[i].status);
         await sleep(didFlip ? INTERVAL_BETWEEN_FLIP_STARTS_MS : 0);
     }
 
     const lastItem = result[result.length - 1];
-    const lastLetterFlipped = lastItem && (lastItem.status === 'adj' || lastItem.status === 'noun');
+    const lastLetterFlipped = lastItem && WordishRules.isMatchStatus(lastItem.status);
     /* Let the last flip finish: remaining time after the 90% interval. */
     await sleep(lastLetterFlipped ? Math.max(0, FLIP_DURATION_MS - INTERVAL_BETWEEN_FLIP_STARTS_MS) : 0);
 
     animationState = null;
-    gameState.moves++;
-    gameState.history.push({ ingredient, result });
-
-    const allAdjsEmpty = gameState.remainingAdjectives.every(r => r.replace(/\s/g, '') === '');
-    const nounEmpty = (gameState.remainingNoun || '').replace(/\s/g, '') === '';
-    const allCleared = allAdjsEmpty && nounEmpty;
-    if (allCleared) {
-        gameState.isWon = true;
-        gameState.justWon = true;
-        gameState.justCompleted = true;
-        gameState.isElegant = gameState.moves <= ELEGANT_MAX_MOVES;
-    } else if (gameState.moves >= MAX_MOVES) {
-        gameState.isLost = true;
-        gameState.justCompleted = true;
-    }
+    gameState = nextState;
+    if (gameState.isWon) gameState.justWon = true;
+    if (gameState.isWon || gameState.isLost) gameState.justCompleted = true;
 
     saveGameState();
-    if (gameState.isWon || gameState.isLost) {
-        if (window.posthog) posthog.capture('puzzle_completed', { puzzle_date: gameState.puzzleDate, won: gameState.isWon });
-        recordGameCompleted();
+    if ((gameState.isWon || gameState.isLost) && isPracticeGame()) {
+        if (window.posthog) posthog.capture('practice_completed', { won: gameState.isWon, moves: gameState.moves, hard_mode: !!gameState.hardMode });
+        recordPracticeCompleted();
+        lastAttemptWasNewBest = false;
+    } else if (gameState.isWon || gameState.isLost) {
+        if (window.posthog) posthog.capture('puzzle_completed', { puzzle_date: gameState.puzzleDate, won: gameState.isWon, hard_mode: !!gameState.hardMode });
         const result = recordAttempts();
         lastAttemptWasNewBest = result.isNewBest;
+        const earned = recordAchievements();
+        earned.forEach(def => { if (window.posthog) posthog.capture('achievement_unlocked', { achievement: def.id }); });
+        showAchievementToast(earned);
     }
     updateDisplay();
     loadRecipe();
@@ -1380,7 +1821,7 @@ function loadRecipe() {
     }
 
     if (!updatedInPlace) {
-    const maxSlots = MAX_MOVES;
+    const maxSlots = WordishRules.getStateLimits(gameState).maxMoves;
     const totalSlots = animating && !isComplete ? historyCount + 1 : historyCount;
     const slotNodes = [];
 
@@ -1563,20 +2004,23 @@ function generateShareText() {
     const puzzleNum = getPuzzleNumber(currentPuzzle);
     const moves = gameState.moves;
     const stars = getStarsForCurrentGame();
-    const starCount = (stars.complete ? 1 : 0) + (stars.elegant ? 1 : 0) + (stars.flavorful ? 1 : 0) + (stars.skillful ? 1 : 0);
+    const starCount = WordishRules.countStars(stars);
     const starLine = '⭐'.repeat(starCount) || '☆';
 
-    let text = `dish #${puzzleNum}\n\n`;
+    const maxMoves = WordishRules.getStateLimits(gameState).maxMoves;
+    // Only puzzles with their own move limit say so ("4 of 7")
+    const limitNote = maxMoves !== WordishRules.MAX_MOVES ? ` of ${maxMoves}` : '';
+
+    let text = `dish #${puzzleNum}${gameState.hardMode ? ' (hard mode)' : ''}\n\n`;
 
     if (gameState.isWon) {
-        const adjRaw = gameState.adjectives[0] || '';
-        const nounRaw = gameState.noun || '';
-        const adj = adjRaw.replace(/\b\w/g, c => c.toUpperCase());
-        const noun = nounRaw.replace(/\b\w/g, c => c.toUpperCase());
-        const puzzleName = `${adj} ${noun}`.trim();
-        text += `I prepared a ${starLine} ${puzzleName} using ${moves} secret ingredients!\n\n`;
+        const puzzleName = WordishRules.getDishLines(gameState)
+            .filter(Boolean)
+            .map(word => word.replace(/\b\w/g, c => c.toUpperCase()))
+            .join(' ');
+        text += `I prepared a ${starLine} ${puzzleName} using ${moves}${limitNote} secret ingredients!\n\n`;
     } else {
-        text += `The dish, she is ruined. (${moves} ingredients)\n\n`;
+        text += `The dish, she is ruined. (${moves}${limitNote} ingredients)\n\n`;
     }
 
     gameState.history.forEach((item, index) => {
@@ -1588,6 +2032,13 @@ function generateShareText() {
         text += `${index + 1}. ${boxes}\n`;
     });
 
+    if (gameState.hintsUsed) {
+        text += `💡 ${gameState.hintsUsed} hint${gameState.hintsUsed === 1 ? '' : 's'}\n`;
+    }
+    if (gameState.isWon && gameState.timed && typeof gameState.timeMs === 'number') {
+        text += `⏱ ${formatSpeedTime(gameState.timeMs)}\n`;
+    }
+
     text += '\nwordishgame.com';
     return text;
 }
@@ -1645,7 +2096,8 @@ function loadPuzzle(puzzle) {
 
     currentPuzzle = puzzle;
     const puzzleDate = puzzle.date;
-    document.getElementById('dateDisplay').textContent = `#${getPuzzleNumber(puzzle)}`;
+    document.getElementById('dateDisplay').textContent = puzzle.practice ? 'PRACTICE' : `#${getPuzzleNumber(puzzle)}`;
+    updateThemeDisplay(puzzle);
     
     const adjList = getPuzzleAdjectives(puzzle);
     const dishName = [...adjList, puzzle.noun].filter(Boolean).join(' ');
@@ -1675,7 +2127,7 @@ function handleTodayClick() {
     // Always clear debug date override so "today" means real today, not a stored override
     debugDateOverride = null;
     try {
-        localStorage.removeItem('dish_of_the_day_debug_date');
+        storage.removeItem('dish_of_the_day_debug_date');
     } catch (e) {}
 
     const today = getRealHelsinkiDate();
@@ -1705,7 +2157,7 @@ function handleRetry() {
     if (inputEl) inputEl.value = '';
 
     try {
-        localStorage.removeItem(`dish_of_the_day_${currentPuzzle.date}`);
+        storage.removeItem(`dish_of_the_day_${currentPuzzle.date}`);
     } catch (error) {
         console.error('Error removing from localStorage:', error);
     }
@@ -1756,9 +2208,9 @@ function showGameView() {
     document.body.classList.remove('archive-view');
     updateReplayViewClass();
     document.getElementById('archiveContainer').style.display = 'none';
-    const hasPuzzle = currentPuzzle && puzzles.find(p => p.date === currentPuzzle.date);
+    const hasPuzzle = currentPuzzle && (isPracticeGame() || puzzles.find(p => p.date === currentPuzzle.date));
     if (!hasPuzzle) {
-        document.getElementById('noPuzzleMessage').style.display = 'block';
+        showNoPuzzleMessage();
         document.getElementById('gameContainer').style.display = 'none';
     } else {
         document.getElementById('noPuzzleMessage').style.display = 'none';
@@ -1819,36 +2271,15 @@ function getArchiveMonthSequence() {
     return [...pairs].map(s => JSON.parse(s)).sort((a, b) => a.year !== b.year ? a.year - b.year : a.month - b.month);
 }
 
-function earnedTrophyForDate(dateStr) {
-    const entry = getAttemptsData()[dateStr];
+function earnedTrophyForDate(dateStr, attempts) {
+    const entry = getAttemptEntryForDate(dateStr, attempts);
     // best is only set when the player won, so its presence means a completed puzzle; trophy = waste <= TROPHY_WASTE_PERCENT
     return entry && entry.best && entry.best.waste <= TROPHY_WASTE_PERCENT;
 }
 
-// Derive star-ingredient from saved game state (for attempts saved before we stored hadStarIngredient)
-function getHadStarIngredientFromSavedState(dateStr) {
-    try {
-        const raw = localStorage.getItem(`dish_of_the_day_${dateStr}`);
-        if (!raw) return false;
-        const parsed = JSON.parse(raw);
-        if (!parsed || !Array.isArray(parsed.history)) return false;
-        return parsed.history.some(item => {
-            const matches = (item.result || []).filter(r => r.status === 'adj' || r.status === 'noun').length;
-            return matches >= STAR_MATCH_THRESHOLD;
-        });
-    } catch (_) {
-        return false;
-    }
-}
-
-function hadStarIngredientForDate(dateStr) {
-    const entry = getAttemptsData()[dateStr];
-    if (entry && entry.hadStarIngredient === true) return true;
-    return getHadStarIngredientFromSavedState(dateStr);
-}
-
-function getAttemptEntryForDate(dateStr) {
-    return getAttemptsData()[dateStr];
+// attempts: getAttemptsData() when the caller already has it (default: summarize the log now)
+function getAttemptEntryForDate(dateStr, attempts = getAttemptsData()) {
+    return attempts[dateStr];
 }
 
 // Build and render archive calendar (month/year dropdowns + 7-column grid, puzzle # and trophy per tile)
@@ -1954,9 +2385,9 @@ function renderArchiveCalendar() {
         if (puzzle) {
             tile.classList.add('archive-calendar-tile-filled');
             const num = getPuzzleNumber(puzzle);
-            const entry = getAttemptEntryForDate(dateStr);
+            const entry = getAttemptEntryForDate(dateStr, attempts);
             const completed = !!entry && entry.best;
-            const starCount = completed ? getStarCountForDate(dateStr) : 0;
+            const starCount = completed ? getStarCountForDate(dateStr, attempts) : 0;
 
             if (!completed) {
                 const q = document.createElement('span');
@@ -1974,17 +2405,29 @@ function renderArchiveCalendar() {
                 }
                 tile.appendChild(starGrid);
             }
+            const themeName = WordishRules.getPuzzleTheme(puzzle).name;
+            if (themeName) {
+                tile.classList.add('archive-calendar-tile-themed');
+                tile.setAttribute('title', themeName);
+                const themeEl = document.createElement('span');
+                themeEl.className = 'archive-tile-theme';
+                themeEl.textContent = themeName;
+                tile.appendChild(themeEl);
+            }
             tile.dataset.date = dateStr;
             tile.setAttribute('role', 'button');
             tile.setAttribute('tabindex', '0');
             const ariaParts = [`Puzzle ${num}`];
+            if (themeName) ariaParts.push(themeName);
             if (completed) ariaParts.push(`${starCount} of 4 stars`);
             else ariaParts.push('Not completed');
+            const bestTime = completed && typeof entry.bestTime === 'number' ? formatSpeedTime(entry.bestTime) : null;
+            if (bestTime) ariaParts.push(`best time ${bestTime}`);
             tile.setAttribute('aria-label', ariaParts.join(', '));
             tile.addEventListener('click', () => {
                 if (dateStr === today) {
                     debugDateOverride = null;
-                    try { localStorage.removeItem('dish_of_the_day_debug_date'); } catch (e) {}
+                    try { storage.removeItem('dish_of_the_day_debug_date'); } catch (e) {}
                     const todayPuzzle = findTodayPuzzle();
                     if (todayPuzzle) {
                         loadPuzzle(todayPuzzle);
@@ -2008,6 +2451,12 @@ function renderArchiveCalendar() {
             const numEl = document.createElement('span');
             numEl.className = 'archive-tile-num';
             numEl.textContent = `#${num}`;
+            if (bestTime) {
+                const timeEl = document.createElement('span');
+                timeEl.className = 'archive-tile-time';
+                timeEl.textContent = ` ⏱${bestTime}`;
+                numEl.appendChild(timeEl);
+            }
             wrapper.appendChild(numEl);
         } else {
             tile.classList.add('archive-calendar-tile-empty');
@@ -2042,7 +2491,7 @@ function handleNextPuzzle() {
     const nextPuzzle = puzzles[idx + 1];
     if (nextPuzzle.date === getRealHelsinkiDate()) {
         debugDateOverride = null;
-        try { localStorage.removeItem('dish_of_the_day_debug_date'); } catch (e) {}
+        try { storage.removeItem('dish_of_the_day_debug_date'); } catch (e) {}
         const todayPuzzle = findTodayPuzzle();
         if (todayPuzzle) loadPuzzle(todayPuzzle);
     } else {
@@ -2055,7 +2504,7 @@ function handleReplayClick() {
     if (!currentPuzzle) return;
     const puzzle = currentPuzzle;
     try {
-        localStorage.removeItem(`dish_of_the_day_${puzzle.date}`);
+        storage.removeItem(`dish_of_the_day_${puzzle.date}`);
     } catch (_) {}
     loadPuzzle(puzzle);
 }
@@ -2064,7 +2513,7 @@ function handleReplayClick() {
 function resetDebugDate() {
     debugDateOverride = null;
     try {
-        localStorage.removeItem('dish_of_the_day_debug_date');
+        storage.removeItem('dish_of_the_day_debug_date');
     } catch (error) {
         console.error('Error removing debug date from localStorage:', error);
     }
@@ -2076,32 +2525,31 @@ function handleResetToToday() {
     resetDebugDate();
 }
 
+// Milliseconds until the next midnight in Helsinki (when the next dish is served)
+function getMsUntilHelsinkiMidnight() {
+    const now = new Date();
+    const helsinkiNow = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Helsinki' }));
+    const midnightHelsinki = new Date(helsinkiNow);
+    midnightHelsinki.setDate(midnightHelsinki.getDate() + 1);
+    midnightHelsinki.setHours(0, 0, 0, 0);
+    return midnightHelsinki - helsinkiNow;
+}
+
 // Countdown timer to midnight Helsinki time
 function startCountdownTimer() {
     if (countdownInterval) {
         clearInterval(countdownInterval);
     }
+    const countdownDate = getRealHelsinkiDate();
     
     function updateCountdown() {
-        const now = new Date();
-        const helsinkiNow = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Helsinki' }));
-        
-        // Get midnight Helsinki time tomorrow
-        const midnightHelsinki = new Date(helsinkiNow);
-        midnightHelsinki.setDate(midnightHelsinki.getDate() + 1);
-        midnightHelsinki.setHours(0, 0, 0, 0);
+        const diff = getMsUntilHelsinkiMidnight();
         
-        const diff = midnightHelsinki - helsinkiNow;
-        
-        if (diff <= 0) {
+        // The next midnight moves a day ahead once it passes, so watch for the date changing
+        if (getRealHelsinkiDate() !== countdownDate) {
             clearInterval(countdownInterval);
             countdownInterval = null;
-            debugDateOverride = null;
-            try {
-                localStorage.removeItem('dish_of_the_day_debug_date');
-            } catch (e) {}
-            closeModal();
-            initGame();
+            handleMidnightRollover(countdownDate);
             return;
         }
         
@@ -2117,6 +2565,104 @@ function startCountdownTimer() {
     countdownInterval = setInterval(updateCountdown, 1000);
 }
 
+// A new day started while the page was open. Only a player on the dish that just ended (or on an empty
+// day) moves on to the new one; practice rounds, archive replays and the archive stay where they are,
+// with their date-dependent controls brought up to date.
+function handleMidnightRollover(endedDate) {
+    const onEndedDish = currentView === 'game' && !isPracticeGame() &&
+        (!currentPuzzle || currentPuzzle.date === (debugDateOverride || endedDate));
+    debugDateOverride = null;
+    try {
+        storage.removeItem('dish_of_the_day_debug_date');
+    } catch (e) {}
+    if (onEndedDish) {
+        closeModal();
+        initGame();
+    } else {
+        if (currentView === 'archive') renderArchiveCalendar();
+        updateReplayViewClass();
+        updatePuzzleLabel();
+        updateFooterTodayButton();
+        startCountdownTimer();
+    }
+    handleDailyRollover();
+}
+
+// Daily reminder (opt-in): a notification on this device when a new dish is served. Nothing goes
+// through a server, so it relies on an open page noticing the rollover. Browsers with notification
+// triggers (TimestampTrigger, experimental and off by default) also get one scheduled for the next
+// midnight; the settings text doesn't promise that.
+function isDailyReminderSupported() {
+    return 'Notification' in window;
+}
+
+function isDailyReminderEnabled() {
+    try {
+        return isDailyReminderSupported() && window.Notification.permission === 'granted' &&
+            storage.getItem(DAILY_REMINDER_KEY) === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Turn the reminder on (asks for notification permission) or off. Resolves to whether it is now on.
+async function setDailyReminder(enabled) {
+    let on = false;
+    if (enabled && isDailyReminderSupported()) {
+        const permission = window.Notification.permission === 'granted'
+            ? 'granted'
+            : await window.Notification.requestPermission();
+        on = permission === 'granted';
+    }
+    try {
+        if (on) {
+            storage.setItem(DAILY_REMINDER_KEY, '1');
+        } else {
+            storage.removeItem(DAILY_REMINDER_KEY);
+        }
+    } catch (e) {}
+    if (on) scheduleDailyReminder();
+    return on;
+}
+
+function getDailyReminderContent(puzzle) {
+    return {
+        title: 'wordish.',
+        options: { body: `Dish #${getPuzzleNumber(puzzle)} is ready.`, tag: 'wordish-daily', icon: 'assets/logo.png?v=1' }
+    };
+}
+
+async function showDailyReminder(puzzle, showTrigger) {
+    const { title, options } = getDailyReminderContent(puzzle);
+    if (showTrigger) options.showTrigger = showTrigger;
+    try {
+        if (navigator.serviceWorker) {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.showNotification(title, options);
+        } else if (!showTrigger) {
+            new window.Notification(title, options);
+        }
+    } catch (error) {
+        console.warn('Could not show the daily reminder:', error);
+    }
+}
+
+// Schedule tomorrow's reminder where notification triggers are supported (no-op elsewhere)
+function scheduleDailyReminder() {
+    if (!isDailyReminderEnabled() || typeof window.TimestampTrigger !== 'function') return;
+    const tomorrow = puzzles.find(p => p.date === offsetDate(getRealHelsinkiDate(), 1));
+    if (!tomorrow) return;
+    showDailyReminder(tomorrow, new window.TimestampTrigger(Date.now() + getMsUntilHelsinkiMidnight()));
+}
+
+// Midnight rollover (startCountdownTimer): remind a player who isn't looking, then schedule the next one
+function handleDailyRollover() {
+    if (!isDailyReminderEnabled()) return;
+    const todayPuzzle = puzzles.find(p => p.date === getRealHelsinkiDate());
+    if (todayPuzzle && document.visibilityState !== 'visible') showDailyReminder(todayPuzzle);
+    scheduleDailyReminder();
+}
+
 // Help modal: build puzzle-stack HTML using game tile classes (no images)
 // lines = array of strings (e.g. ['APPEALING', 'CANNOLI']); matchedIndices = set of flat indices to show as green
 function buildHelpPuzzleStack(lines, matchedIndices) {
@@ -2140,12 +2686,24 @@ function buildHelpPuzzleStack(lines, matchedIndices) {
 }
 
 // Help modal content (shared by help button and first-time auto-show)
+const HELP_NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+// The example is matched with the current puzzle's rule set (and the move limit is the puzzle's own),
+// so it shows what will really happen.
 function getHelpContent() {
-    const line0 = 'APPEALING';
-    const line1 = 'CANNOLI';
-    const lines = [line0, line1];
-    // BANANA matches left-to-right: B discarded, then A,N,A,N,A → positions 0,7,4,11,10 (flat)
-    const matchedAfterBanana = new Set([0, 4, 7, 10, 11]);
+    const rules = WordishRules.getPuzzleRules(currentPuzzle);
+    const example = { adjectives: ['APPEALING'], noun: 'CANNOLI', rules };
+    const lines = [example.adjectives[0], example.noun];
+    // Greedy: B discarded, then A,N,A,N,A → positions 0,7,4,11,10 (flat). Shortest: 10,11,0,12,4.
+    const { result } = WordishRules.matchIngredient(WordishRules.createState(example), 'BANANA');
+    const matchedAfterBanana = new Set(result
+        .filter(r => WordishRules.isMatchStatus(r.status))
+        .map(r => (r.lineIndex === 0 ? 0 : lines[0].length) + r.indexInLine));
+    const matchingText = rules === 'shortest'
+        ? 'its letters will match against the dish one at a time. In this dish each letter clears a tile in whichever word has <strong>fewer letters left</strong>.'
+        : 'its letters will match against the dish one at a time, left to right.';
+    const maxMoves = WordishRules.getPuzzleLimits(currentPuzzle).maxMoves;
+    const maxMovesText = HELP_NUMBER_WORDS[maxMoves] || String(maxMoves);
     const beforeHtml = buildHelpPuzzleStack(lines, null);
     const afterHtml = buildHelpPuzzleStack(lines, matchedAfterBanana);
 
@@ -2154,7 +2712,7 @@ function getHelpContent() {
             <div class="help-page help-page-1">
                 <div class="help-content">
                     <p>Complete the puzzle by entering ingredients that share letters with the dish of the day.</p>
-                    <p>Each time you submit a valid ingredient, its letters will match against the dish one at a time, left to right.</p>
+                    <p>Each time you submit a valid ingredient, ${matchingText}</p>
                     <p>A valid ingredient is a food, a single word, and 12 letters or less.</p>
                     <p class="help-label">Example</p>
                     <p>Adding the ingredient <strong>BANANA</strong> to this:</p>
@@ -2162,7 +2720,7 @@ function getHelpContent() {
                     <p>Would produce this:</p>
                     <div class="help-example">${afterHtml}</div>
                     <p>With the <strong>A</strong>, <strong>N</strong>, <strong>A</strong>, <strong>N</strong>, and <strong>A</strong> matching and the <strong>B</strong> discarded.</p>
-                    <p>A dish is prepared successfully if all of its letters are matched using five ingredients or fewer.</p>
+                    <p>A dish is prepared successfully if all of its letters are matched using ${maxMovesText} ingredients or fewer.</p>
                 </div>
             </div>
         </div>
@@ -2184,16 +2742,85 @@ function showHelpModal() {
 function getSettingsContent() {
     return `
         <div class="settings-content">
-            <div class="settings-dark-mode">
-                <div class="settings-dark-mode-label">
-                    <span class="settings-dark-mode-title">Dark mode</span>
-                    <span class="settings-dark-mode-hint">Use a dark theme.</span>
+            <div class="settings-row">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Dark mode</span>
+                    <span class="settings-row-hint">Use a dark theme.</span>
                 </div>
                 <label class="settings-toggle">
                     <input type="checkbox" id="settingsDarkModeCheckbox" role="switch" aria-label="Dark mode">
                     <span class="settings-toggle-track"></span>
                 </label>
             </div>
+            <div class="settings-row">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Hard mode</span>
+                    <span class="settings-row-hint">Every ingredient must match at least ${WordishRules.HARD_MODE_MIN_MATCHES} letters. Starts with your next dish if you've already added an ingredient.</span>
+                </div>
+                <label class="settings-toggle">
+                    <input type="checkbox" id="settingsHardModeCheckbox" role="switch" aria-label="Hard mode">
+                    <span class="settings-toggle-track"></span>
+                </label>
+            </div>
+            <div class="settings-row">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Letter preview</span>
+                    <span class="settings-row-hint">Highlight the letters an ingredient would match as you type. Not available in hard mode or speed runs.</span>
+                </div>
+                <label class="settings-toggle">
+                    <input type="checkbox" id="settingsPreviewCheckbox" role="switch" aria-label="Letter preview">
+                    <span class="settings-toggle-track"></span>
+                </label>
+            </div>
+            <div class="settings-row">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Speed run</span>
+                    <span class="settings-row-hint">Time each dish from your first keystroke until it's done, without hints or letter preview. Starts with your next dish if the clock would already be running.</span>
+                </div>
+                <label class="settings-toggle">
+                    <input type="checkbox" id="settingsSpeedRunCheckbox" role="switch" aria-label="Speed run">
+                    <span class="settings-toggle-track"></span>
+                </label>
+            </div>
+            <div class="settings-row">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Daily reminder</span>
+                    <span class="settings-row-hint" id="settingsReminderHint">${isDailyReminderSupported()
+                        ? 'A notification on this device when a new dish is served at midnight (Helsinki time), while wordish is open in a tab or window.'
+                        : 'Notifications are not supported in this browser.'}</span>
+                </div>
+                <label class="settings-toggle">
+                    <input type="checkbox" id="settingsReminderCheckbox" role="switch" aria-label="Daily reminder"${isDailyReminderSupported() ? '' : ' disabled'}>
+                    <span class="settings-toggle-track"></span>
+                </label>
+            </div>
+            <div class="settings-row settings-profile">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Your progress</span>
+                    <span class="settings-row-hint">Save your stats, attempts, games and settings to a file, or import a file from another device.</span>
+                    <div class="stats-reset-row settings-profile-row">
+                        <button type="button" id="settingsExportBtn" class="stats-reset-btn">EXPORT</button>
+                        <select id="settingsImportMode" class="settings-profile-select" aria-label="Import mode">
+                            <option value="merge">Merge</option>
+                            <option value="replace">Replace</option>
+                        </select>
+                        <button type="button" id="settingsImportBtn" class="stats-reset-btn">IMPORT</button>
+                        <input type="file" id="settingsImportInput" accept="application/json,.json" hidden>
+                    </div>
+                    <p id="settingsProfileStatus" class="settings-profile-status" role="status" aria-live="polite"></p>
+                </div>
+            </div>
+            <div class="settings-row settings-profile">
+                <div class="settings-row-label">
+                    <span class="settings-row-title">Sync</span>
+                    <span class="settings-row-hint">Keep progress in step across devices through your own sync server. Leave the address empty to keep progress on this device only.</span>
+                    <div class="stats-reset-row settings-profile-row">
+                        <input type="url" id="settingsSyncUrl" class="settings-sync-url" placeholder="https://" autocomplete="off" aria-label="Sync server address">
+                        <button type="button" id="settingsSyncBtn" class="stats-reset-btn">SYNC</button>
+                    </div>
+                    <p id="settingsSyncStatus" class="settings-profile-status" role="status" aria-live="polite"></p>
+                </div>
+            </div>
             <div class="stats-reset">
                 <p class="stats-reset-hint">To reset your profile, type "RESET" into the box below and confirm. <span class="stats-reset-underline">This action cannot be undone.</span></p>
                 <div class="stats-reset-row">
@@ -2217,6 +2844,82 @@ function showSettingsModal() {
                 darkCheckbox.setAttribute('aria-checked', darkCheckbox.checked);
             });
         }
+        const hardCheckbox = document.getElementById('settingsHardModeCheckbox');
+        if (hardCheckbox) {
+            hardCheckbox.checked = isHardMode();
+            hardCheckbox.setAttribute('aria-checked', hardCheckbox.checked);
+            hardCheckbox.addEventListener('change', () => {
+                setHardMode(hardCheckbox.checked);
+                hardCheckbox.setAttribute('aria-checked', hardCheckbox.checked);
+                if (window.posthog) posthog.capture('hard_mode_toggled', { enabled: hardCheckbox.checked });
+            });
+        }
+        const previewCheckbox = document.getElementById('settingsPreviewCheckbox');
+        if (previewCheckbox) {
+            previewCheckbox.checked = isPreviewEnabled();
+            previewCheckbox.setAttribute('aria-checked', previewCheckbox.checked);
+            previewCheckbox.addEventListener('change', () => {
+                setPreviewEnabled(previewCheckbox.checked);
+                previewCheckbox.setAttribute('aria-checked', previewCheckbox.checked);
+            });
+        }
+        const speedCheckbox = document.getElementById('settingsSpeedRunCheckbox');
+        if (speedCheckbox) {
+            speedCheckbox.checked = isSpeedRun();
+            speedCheckbox.setAttribute('aria-checked', speedCheckbox.checked);
+            speedCheckbox.addEventListener('change', () => {
+                setSpeedRun(speedCheckbox.checked);
+                speedCheckbox.setAttribute('aria-checked', speedCheckbox.checked);
+                if (window.posthog) posthog.capture('speed_run_toggled', { enabled: speedCheckbox.checked });
+            });
+        }
+        const reminderCheckbox = document.getElementById('settingsReminderCheckbox');
+        if (reminderCheckbox) {
+            reminderCheckbox.checked = isDailyReminderEnabled();
+            reminderCheckbox.setAttribute('aria-checked', reminderCheckbox.checked);
+            reminderCheckbox.addEventListener('change', async () => {
+                const on = await setDailyReminder(reminderCheckbox.checked);
+                const hint = document.getElementById('settingsReminderHint');
+                if (reminderCheckbox.checked && !on && hint) {
+                    hint.textContent = 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.';
+                }
+                reminderCheckbox.checked = on;
+                reminderCheckbox.setAttribute('aria-checked', on);
+                if (window.posthog) posthog.capture('daily_reminder_toggled', { enabled: on });
+            });
+        }
+        const exportBtn = document.getElementById('settingsExportBtn');
+        if (exportBtn) exportBtn.addEventListener('click', handleProfileExport);
+        const importBtn = document.getElementById('settingsImportBtn');
+        const importInput = document.getElementById('settingsImportInput');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async () => {
+                await handleProfileImport(importInput.files && importInput.files[0]);
+                importInput.value = '';
+            });
+        }
+        const syncInput = document.getElementById('settingsSyncUrl');
+        const syncBtn = document.getElementById('settingsSyncBtn');
+        if (syncInput && syncBtn) {
+            syncInput.value = isSyncEnabled() ? storage.url : '';
+            const saveSyncUrl = async () => {
+                const status = document.getElementById('settingsSyncStatus');
+                const url = syncInput.value.trim();
+                if (isSyncEnabled() && url === storage.url) {
+                    if (status) status.textContent = 'Syncing…';
+                    await syncProgress();
+                    return;
+                }
+                const error = setSyncUrl(url);
+                if (status) {
+                    status.textContent = error || (url ? 'Syncing…' : 'Progress stays on this device.');
+                    status.classList.toggle('settings-profile-status-error', !!error);
+                }
+            };
+            syncBtn.addEventListener('click', saveSyncUrl);
+            syncInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') saveSyncUrl(); });
+        }
         const input = document.getElementById('settingsResetInput');
         const btn = document.getElementById('settingsResetBtn');
         const modalContent = document.getElementById('modalContent');
@@ -2248,23 +2951,155 @@ function showSettingsModal() {
     }, 0);
 }
 
+// Inline SVG charts for the stats modal (charts.js), once a daily dish has been played
+function getStatsChartsContent(s) {
+    if (s.dishesAttempted === 0) return '';
+    // The distribution counts each day's first run, so only today's first run (a win) is marked on it
+    const today = getRealHelsinkiDate();
+    const wonToday = !!gameState && gameState.isWon && !isPracticeGame() && gameState.puzzleDate === today &&
+        getGameLog().filter(event => event.date === today).length === 1;
+    const distribution = WordishCharts.barChart(
+        s.guessDistribution.map((value, i) => ({ label: String(i + 1), value })),
+        { label: 'Wins by number of ingredients', highlight: wonToday ? gameState.moves - 1 : undefined });
+    const waste = WordishCharts.barChart(
+        s.wasteHistogram.map((value, i) => {
+            const from = i * WASTE_BUCKET_PERCENT;
+            return { label: i === s.wasteHistogram.length - 1 ? `${from}+%` : `${from}–${from + WASTE_BUCKET_PERCENT - 1}%`, value };
+        }),
+        { label: 'Dishes by food waste' });
+    const stars = WordishCharts.barChart(
+        Object.entries(s.starCounts).map(([name, value]) => ({ label: name.toUpperCase(), value })),
+        { label: 'Dishes by star earned' });
+    const trend = WordishCharts.sparkline(s.starsByDay, { label: `Stars per day, last ${STARS_TREND_DAYS} days`, max: 4 });
+    return `
+            <div class="stats-charts">
+                <div class="stats-chart">
+                    <div class="stats-label">Ingredients per Win</div>
+                    ${distribution}
+                </div>
+                <div class="stats-chart">
+                    <div class="stats-label">Food Waste</div>
+                    ${waste}
+                </div>
+                <div class="stats-chart">
+                    <div class="stats-label">Stars by Type</div>
+                    ${stars}
+                </div>
+                <div class="stats-chart">
+                    <div class="stats-label">Stars, Last ${STARS_TREND_DAYS} Days</div>
+                    ${trend}
+                </div>
+            </div>`;
+}
+
+// Every saved daily game as { date, history, rejected }
+function getSavedGames() {
+    const saves = [];
+    try {
+        for (const key of storage.keys()) {
+            const match = WordishStorage.SAVE_KEY_RE.exec(key);
+            if (!match) continue;
+            const raw = storage.getItem(key);
+            const state = raw && readStoredJson(key, raw, 'not a saved game');
+            if (state) saves.push({ date: match[1], history: state.history, rejected: state.rejected });
+        }
+    } catch (_) {}
+    return saves;
+}
+
+// Text from data files (achievements.json) going into markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Achievements grid: every definition in order, the ones not earned yet dimmed
+function getAchievementsContent() {
+    if (!achievementDefinitions.length) return '';
+    const earned = new Set(WordishAchievements.getEarned(achievementDefinitions, getAchievementContext()));
+    const tiles = achievementDefinitions.map(def => `
+                    <li class="achievement${earned.has(def.id) ? ' achievement-earned' : ''}">
+                        <span class="achievement-icon" aria-hidden="true">${escapeHtml(def.icon || '🏅')}</span>
+                        <span class="achievement-title">${escapeHtml(def.title)}</span>
+                        <span class="achievement-description">${escapeHtml(def.description)}</span>
+                        <span class="sr-only">${earned.has(def.id) ? 'Earned' : 'Not earned yet'}</span>
+                    </li>`).join('');
+    return `
+            <div class="achievements">
+                <div class="stats-label">Achievements ${earned.size}/${achievementDefinitions.length}</div>
+                <ul class="achievements-grid">${tiles}
+                </ul>
+            </div>`;
+}
+
+// Every ingredient from the saved daily games (pantry.js)
+function getPantry() {
+    return WordishPantry.buildPantry(getSavedGames());
+}
+
+// Pantry tab: how many ingredients, the best one, the most used and the ones the game didn't know
+function getPantryContent() {
+    const pantry = getPantry();
+    if (!pantry.totalUsed && !pantry.rejected.length) {
+        return '<p class="pantry-empty">Your pantry fills up as you cook. Play a dish to start it.</p>';
+    }
+    const bestPuzzle = pantry.best && puzzles.find(p => p.date === pantry.best.date);
+    const list = (items, detail) => items.slice(0, PANTRY_LIST_LENGTH)
+        .map(item => `<li><span class="pantry-name">${item.ingredient}</span><span class="pantry-detail">${detail(item)}</span></li>`)
+        .join('');
+    return `
+            <div class="stats-grid">
+                <div class="stats-cell">
+                    <div class="stats-label">Different Ingredients</div>
+                    <div class="stats-value">${pantry.ingredients.length}</div>
+                </div>
+                <div class="stats-cell">
+                    <div class="stats-label">Av. Letters Matched</div>
+                    <div class="stats-value">${pantry.averageMatched.toFixed(1)}</div>
+                </div>
+            </div>
+            ${pantry.best ? `
+            <div class="pantry-section">
+                <div class="stats-label">Best Ingredient</div>
+                <p class="pantry-best"><span class="pantry-name">${pantry.best.ingredient}</span> matched ${pantry.best.matches} letter${pantry.best.matches === 1 ? '' : 's'} ${bestPuzzle ? `in dish #${getPuzzleNumber(bestPuzzle)}` : `on ${pantry.best.date}`}</p>
+            </div>` : ''}
+            ${pantry.ingredients.length ? `
+            <div class="pantry-section">
+                <div class="stats-label">Most Used</div>
+                <ol class="pantry-list">${list(pantry.ingredients, item => `×${item.count} · ${item.averageMatched.toFixed(1)} matched`)}</ol>
+            </div>` : ''}
+            ${pantry.rejected.length ? `
+            <div class="pantry-section">
+                <div class="stats-label">Not in the Pantry</div>
+                <ul class="pantry-list">${list(pantry.rejected, item => `tried on ${item.count} day${item.count === 1 ? '' : 's'}`)}</ul>
+            </div>` : ''}`;
+}
+
 // Stats modal content and open
 function getStatsContent() {
     const s = getStats();
+    const practice = getPracticeStats();
     return `
-        <div class="stats-content">
+        <div class="stats-tabs" role="tablist">
+            <button type="button" class="stats-tab stats-tab-active" id="statsTabStats" data-stats-tab="Stats" role="tab" aria-selected="true" aria-controls="statsPanelStats">Stats</button>
+            <button type="button" class="stats-tab" id="statsTabPantry" data-stats-tab="Pantry" role="tab" aria-selected="false" aria-controls="statsPanelPantry">Pantry</button>
+        </div>
+        <div class="stats-content" id="statsPanelStats" role="tabpanel" aria-labelledby="statsTabStats">
             <div class="stats-grid">
                 <div class="stats-cell">
                     <div class="stats-label">Dishes Prepared</div>
                     <div class="stats-value">${s.dishesAttempted}</div>
                 </div>
+                <div class="stats-cell">
+                    <div class="stats-label">Total Stars</div>
+                    <div class="stats-value">${s.totalStars} ⭐</div>
+                </div>
                 <div class="stats-cell">
                     <div class="stats-label">Win Streak</div>
                     <div class="stats-value">${s.successStreak}</div>
                 </div>
                 <div class="stats-cell">
-                    <div class="stats-label">Total Stars</div>
-                    <div class="stats-value">${s.totalStars} ⭐</div>
+                    <div class="stats-label">Best Win Streak</div>
+                    <div class="stats-value">${s.maxSuccessStreak}</div>
                 </div>
                 <div class="stats-cell">
                     <div class="stats-label">Av. Ingredients</div>
@@ -2274,26 +3109,69 @@ function getStatsContent() {
                     <div class="stats-label">Av. Waste</div>
                     <div class="stats-value">${s.averageWastePercent}%</div>
                 </div>
-            </div>
+                ${s.hardModeDishes > 0 ? `
+                <div class="stats-cell">
+                    <div class="stats-label">Hard Mode Wins</div>
+                    <div class="stats-value">${s.hardModeWins}/${s.hardModeDishes}</div>
+                </div>` : ''}
+                ${s.averageTimeMs !== null ? `
+                <div class="stats-cell">
+                    <div class="stats-label">Av. Time</div>
+                    <div class="stats-value">${formatSpeedTime(s.averageTimeMs)}</div>
+                </div>` : ''}
+                ${s.timedWins > 0 ? `
+                <div class="stats-cell">
+                    <div class="stats-label">Best Time</div>
+                    <div class="stats-value">${formatSpeedTime(s.bestTimeMs)}</div>
+                </div>` : ''}
+                ${practice.played > 0 ? `
+                <div class="stats-cell">
+                    <div class="stats-label">Practice Wins</div>
+                    <div class="stats-value">${practice.won}/${practice.played}</div>
+                </div>
+                <div class="stats-cell">
+                    <div class="stats-label">Practice Streak</div>
+                    <div class="stats-value">${practice.streak} (best ${practice.maxStreak})</div>
+                </div>` : ''}
+            </div>${getStatsChartsContent(s)}${getAchievementsContent()}
+        </div>
+        <div class="stats-content" id="statsPanelPantry" role="tabpanel" aria-labelledby="statsTabPantry" hidden>
+            ${getPantryContent()}
         </div>
     `;
 }
 
+// Switch the stats modal between its Stats and Pantry tabs
+function showStatsTab(name) {
+    ['Stats', 'Pantry'].forEach(tab => {
+        const button = document.getElementById(`statsTab${tab}`);
+        const panel = document.getElementById(`statsPanel${tab}`);
+        if (button) {
+            button.classList.toggle('stats-tab-active', tab === name);
+            button.setAttribute('aria-selected', tab === name);
+        }
+        if (panel) panel.hidden = tab !== name;
+    });
+}
+
 function showStatsModal() {
     openModal('My Stats', getStatsContent());
+    setTimeout(() => {
+        ['Stats', 'Pantry'].forEach(tab => {
+            const button = document.getElementById(`statsTab${tab}`);
+            if (button) button.addEventListener('click', () => showStatsTab(tab));
+        });
+    }, 0);
 }
 
 function handleProfileReset() {
     const input = document.getElementById('settingsResetInput');
     if (!input || (input.value || '').trim().toUpperCase() !== 'RESET') return;
     try {
-        localStorage.removeItem(STATS_KEY);
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const k = localStorage.key(i);
-            if (k && k.startsWith('dish_of_the_day_')) keysToRemove.push(k);
-        }
-        keysToRemove.forEach(k => localStorage.removeItem(k));
+        storage.keys().filter(k => k.startsWith('dish_of_the_day_')).forEach(k => storage.removeItem(k));
+        // The sync server setting goes too, so the reset stays on this device
+        clearTimeout(syncTimer);
+        storage = createStorageBackend();
         closeModal();
         initGame();
     } catch (e) {
@@ -2301,6 +3179,58 @@ function handleProfileReset() {
     }
 }
 
+function handleProfileExport() {
+    const profile = WordishProfile.createProfile(WordishStorage.readSnapshot(storage), new Date().toISOString());
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wordish-profile-${getRealHelsinkiDate()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    if (window.posthog) posthog.capture('profile_exported');
+}
+
+// Import a profile file's text. mode = 'merge' | 'replace'. Returns { ok, message } for the settings modal.
+function importProfileText(text, mode) {
+    const parsed = WordishProfile.parseProfile(text);
+    if (!parsed.ok) return { ok: false, message: parsed.error };
+    const replace = mode === 'replace';
+    const snapshot = replace ? parsed.snapshot : WordishProfile.mergeSnapshots(WordishStorage.readSnapshot(storage), parsed.snapshot);
+    try {
+        WordishStorage.writeSnapshot(storage, snapshot, replace);
+    } catch (error) {
+        console.error('Error importing profile:', error);
+        return { ok: false, message: 'The profile could not be saved on this device.' };
+    }
+    // Older profiles carry stats and attempts instead of a game log
+    runStorageMigrations(0);
+    const dates = new Set(parsed.snapshot.log.events.map(e => e.date).concat(Object.keys(parsed.snapshot.attempts)));
+    const days = dates.size;
+    const skipped = parsed.skipped ? ` ${parsed.skipped} unreadable entr${parsed.skipped === 1 ? 'y was' : 'ies were'} skipped.` : '';
+    return { ok: true, message: `Imported ${days} day${days === 1 ? '' : 's'} of progress.${skipped}` };
+}
+
+async function handleProfileImport(file) {
+    const status = document.getElementById('settingsProfileStatus');
+    const modeSelect = document.getElementById('settingsImportMode');
+    const mode = modeSelect ? modeSelect.value : 'merge';
+    if (!file) return;
+    if (mode === 'replace' && !window.confirm('Replace all progress on this device with the imported profile? This cannot be undone.')) return;
+    const result = importProfileText(await file.text(), mode);
+    if (status) {
+        status.textContent = result.message;
+        status.classList.toggle('settings-profile-status-error', !result.ok);
+    }
+    if (result.ok) {
+        setDarkMode(isDarkMode());
+        initGame();
+        if (window.posthog) posthog.capture('profile_imported', { mode });
+    }
+}
+
 // About modal contact form — submit via Web3Forms API, show result in modal
 async function handleAboutFormSubmit(e) {
     e.preventDefault();
@@ -2358,19 +3288,55 @@ function closeModal() {
     }
 }
 
+// Offline support (sw.js). When it fetches a changed puzzles.json in the background, reload the calendar.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => console.warn('Service worker registration failed:', error));
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'puzzles-updated') handlePuzzlesUpdated();
+    });
+}
+
+async function handlePuzzlesUpdated() {
+    await loadPuzzles();
+    await loadIngredientPools();
+    if (currentView === 'archive') {
+        renderArchiveCalendar();
+    } else if (!currentPuzzle) {
+        initGame();
+    } else {
+        updateFooterReplayControls();
+    }
+}
+
 // Event listeners
 document.addEventListener('DOMContentLoaded', async () => {
     setDarkMode(isDarkMode());
+    registerServiceWorker();
+    window.addEventListener('online', updateOfflineNotice);
+    window.addEventListener('offline', updateOfflineNotice);
+    window.addEventListener('online', () => {
+        if (isSyncEnabled() && storage.hasPendingChanges()) syncProgress();
+    });
+    // Don't wait out SYNC_DELAY_MS when the player leaves the tab
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && isSyncEnabled() && storage.hasPendingChanges()) syncProgress();
+    });
+    loadAchievements();
     await loadPuzzles();
     await loadFoodLists();
+    // After loadPuzzles: back-filled stars need each date's starMatchThreshold
+    runStorageMigrations();
     initGame();
+    scheduleDailyReminder();
+    syncProgress();
 
     // Show help modal for first-time players
     try {
-        const helpShown = localStorage.getItem('dish_of_the_day_help_shown');
+        const helpShown = storage.getItem('dish_of_the_day_help_shown');
         if (!helpShown) {
             showHelpModal();
-            localStorage.setItem('dish_of_the_day_help_shown', '1');
+            storage.setItem('dish_of_the_day_help_shown', '1');
         }
     } catch (e) {
         // localStorage may be unavailable (private browsing, etc.)
@@ -2385,6 +3351,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             const accepted = await processIngredient(ingredient);
             if (accepted) {
                 input.value = '';
+                updateInputValidationState();
                 if (!gameState.isWon && !gameState.isLost) input.focus();
             }
         }
@@ -2407,6 +3374,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Otherwise tapping a suggestion won't replace the word in the field.
         if (e.isComposing) return;
         normalizeIngredientInput(e.target);
+        if (e.target.value) startSpeedClock();
     });
 
     input.addEventListener('compositionend', (e) => {
@@ -2414,6 +3382,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         normalizeIngredientInput(e.target);
     });
 
+    const hintBtn = document.getElementById('hintBtn');
+    if (hintBtn) hintBtn.addEventListener('click', handleHintClick);
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', handleUndo);
+
     // Navigation buttons
     const prevBtn = document.getElementById('prevBtn');
     const retryBtn = document.getElementById('retryBtn');
@@ -0,0 +1,260 @@
+/**
+ * Wordish game log — every finished daily run, in the order it was played. Stats, streaks, stars and
+ * the archive's per-date badges are all worked out from it, so replays can't skew them.
+ *
+ * An event is:
+ *   { date, at (ms timestamp; null for runs carried over from before the log), replay (false for the
+ *     date's first run), won, moves, waste (percent), stars: { complete, elegant, flavorful, skillful },
+ *     mode: 'standard' | 'hard', hints? (when used), undo? (true), timeMs? (speed-run wins),
+ *     maxMoves? (when not WordishRules.MAX_MOVES) }
+ * Runs that used undo are logged but never count toward a best run or stars.
+ *
+ * Browser: load after rules.js (exposes window.WordishGameLog).
+ * Node:    const WordishGameLog = require('./gamelog');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const gameLog = factory(isNode ? require('./rules') : root.WordishRules);
+    if (isNode) {
+        module.exports = gameLog;
+    } else {
+        root.WordishGameLog = gameLog;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules) {
+    'use strict';
+
+    const MODES = ['standard', 'hard'];
+    const STAR_NAMES = ['complete', 'elegant', 'flavorful', 'skillful'];
+    const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+    function noStars() {
+        return { complete: false, elegant: false, flavorful: false, skillful: false };
+    }
+
+    // The event for a finished game state
+    function createRunEvent(state, at, replay) {
+        const event = {
+            date: state.puzzleDate,
+            at: Number.isFinite(at) ? at : null,
+            replay: !!replay,
+            won: !!state.isWon,
+            moves: state.moves,
+            waste: WordishRules.getWastePercent(state.history),
+            stars: WordishRules.getStars(state),
+            mode: state.hardMode ? 'hard' : 'standard'
+        };
+        if (state.hintsUsed) event.hints = state.hintsUsed;
+        if (state.undoUsed) event.undo = true;
+        if (state.isWon && state.timed && typeof state.timeMs === 'number') event.timeMs = state.timeMs;
+        const maxMoves = WordishRules.getStateLimits(state).maxMoves;
+        if (maxMoves !== WordishRules.MAX_MOVES) event.maxMoves = maxMoves;
+        return event;
+    }
+
+    // A well-formed copy of a stored event, or null
+    function normalizeEvent(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.date !== 'string' || !DATE_RE.test(raw.date)) return null;
+        if (typeof raw.won !== 'boolean' || !Number.isFinite(raw.moves) || !Number.isFinite(raw.waste)) return null;
+        const stars = noStars();
+        for (const name of STAR_NAMES) stars[name] = !!(raw.stars && raw.stars[name]);
+        const event = Object.assign({}, raw, {
+            at: Number.isFinite(raw.at) ? raw.at : null,
+            replay: !!raw.replay,
+            stars,
+            mode: MODES.includes(raw.mode) ? raw.mode : 'standard'
+        });
+        return event;
+    }
+
+    // Counts toward the date's best run and stars
+    function countsTowardBest(event) {
+        return event.won && !event.undo;
+    }
+
+    function eventKey(event) {
+        return JSON.stringify(Object.keys(event).sort().map(key => [key, event[key]]));
+    }
+
+    /**
+     * Both logs as one, for importing or syncing. Every run is kept once: an event appearing n times in
+     * one log and m times in the other appears max(n, m) times, so merging the same log twice adds nothing.
+     * Ordered by at (runs without one first), otherwise as given.
+     */
+    function mergeLogs(a, b) {
+        const counts = new Map();
+        const merged = [];
+        for (const event of a) {
+            const key = eventKey(event);
+            counts.set(key, (counts.get(key) || 0) + 1);
+            merged.push(event);
+        }
+        for (const event of b) {
+            const key = eventKey(event);
+            if (counts.get(key)) {
+                counts.set(key, counts.get(key) - 1);
+            } else {
+                merged.push(event);
+            }
+        }
+        const at = (event) => (event.at === null ? -Infinity : event.at);
+        return merged
+            .map((event, index) => ({ event, index }))
+            .sort((x, y) => (at(x.event) - at(y.event)) || (x.index - y.index))
+            .map(x => x.event);
+    }
+
+    function groupByDate(events) {
+        const byDate = new Map();
+        for (const event of events) {
+            if (!byDate.has(event.date)) byDate.set(event.date, []);
+            byDate.get(event.date).push(event);
+        }
+        return byDate;
+    }
+
+    // A date's first run: the earliest one logged as a first attempt (or just the earliest)
+    function firstOf(runs) {
+        return runs.find(event => !event.replay) || runs[0];
+    }
+
+    function bestOf(runs) {
+        let best = null;
+        for (const event of runs) {
+            if (!countsTowardBest(event)) continue;
+            if (!best || WordishRules.isBetterRun(event.moves, event.waste, best.moves, best.waste)) best = event;
+        }
+        return best;
+    }
+
+    // One run per date, the first, in date order (what stats and streaks count)
+    function getFirstRuns(events) {
+        return [...groupByDate(events).entries()]
+            .sort((x, y) => (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0))
+            .map(([, runs]) => firstOf(runs));
+    }
+
+    /**
+     * Per-date summary of the log, { [date]: entry }:
+     *   first: { moves, waste, won, hints?, undo?, time? }, best: { moves, waste, hints? } or null (fewest
+     *   ingredients, then least waste, among wins without undo), hadStarIngredient, stars (the best run's,
+     *   with flavorful earned by any run that counts toward best), hard?: { first, best } over hard-mode runs, bestTime? (fastest
+     *   speed-run win that counts toward best)
+     */
+    function summarize(events) {
+        const summary = {};
+        for (const [date, runs] of groupByDate(events)) {
+            const first = firstOf(runs);
+            const best = bestOf(runs);
+            const entry = {
+                first: { moves: first.moves, waste: first.waste, won: first.won },
+                best: best ? { moves: best.moves, waste: best.waste } : null,
+                hadStarIngredient: false,
+                stars: noStars()
+            };
+            if (first.hints) entry.first.hints = first.hints;
+            if (first.undo) entry.first.undo = true;
+            if (first.won && typeof first.timeMs === 'number') entry.first.time = first.timeMs;
+            if (best && best.hints) entry.best.hints = best.hints;
+
+            // The best run's stars, except flavorful: a star ingredient in any run keeps it
+            if (best) Object.assign(entry.stars, best.stars);
+            for (const event of runs.filter(countsTowardBest)) {
+                entry.stars.flavorful = entry.stars.flavorful || event.stars.flavorful;
+                if (typeof event.timeMs === 'number' && !(entry.bestTime <= event.timeMs)) entry.bestTime = event.timeMs;
+            }
+            entry.hadStarIngredient = entry.stars.flavorful;
+
+            const hardRuns = runs.filter(event => event.mode === 'hard');
+            if (hardRuns.length) {
+                const hardBest = bestOf(hardRuns);
+                entry.hard = {
+                    first: { moves: hardRuns[0].moves, waste: hardRuns[0].waste, won: hardRuns[0].won },
+                    best: hardBest ? { moves: hardBest.moves, waste: hardBest.waste } : null
+                };
+            }
+            summary[date] = entry;
+        }
+        return summary;
+    }
+
+    /**
+     * Events for progress stored before the log: stats = { games: [...] } (every finish, replays
+     * included, in order) and attempts = { [date]: { first, best, hadStarIngredient, hard, bestTime } }.
+     * Games become runs (the first per date is the first attempt); dates only in attempts get their first
+     * and best runs. Stars are rebuilt from what was kept: getLimits(date) gives elegantMaxMoves.
+     */
+    function fromLegacy(stats, attempts, getLimits) {
+        const limitsFor = getLimits || (() => WordishRules.getPuzzleLimits());
+        const games = stats && Array.isArray(stats.games) ? stats.games : [];
+        const entries = attempts && typeof attempts === 'object' ? attempts : {};
+        const events = [];
+
+        function legacyEvent(date, run, replay, extra) {
+            const entry = entries[date] || {};
+            const hints = run.hints || 0;
+            const won = !!run.won;
+            const event = {
+                date,
+                at: null,
+                replay,
+                won,
+                moves: run.moves,
+                waste: run.waste,
+                stars: {
+                    complete: won,
+                    elegant: won && run.moves <= limitsFor(date).elegantMaxMoves,
+                    flavorful: won && !extra.undo && !!entry.hadStarIngredient,
+                    skillful: won && !hints && run.waste <= WordishRules.TROPHY_WASTE_PERCENT
+                },
+                mode: extra.hard ? 'hard' : 'standard'
+            };
+            if (hints) event.hints = hints;
+            if (extra.undo) event.undo = true;
+            if (won && Number.isFinite(extra.timeMs)) event.timeMs = extra.timeMs;
+            if (Number.isInteger(extra.maxMoves) && extra.maxMoves !== WordishRules.MAX_MOVES) event.maxMoves = extra.maxMoves;
+            return normalizeEvent(event);
+        }
+
+        const sameRun = (run, moves, waste) => !!run && run.moves === moves && run.waste === waste;
+        const gameDates = new Set();
+        for (const game of games) {
+            if (!game || typeof game.date !== 'string' || !Number.isFinite(game.moves)) continue;
+            const entry = entries[game.date] || {};
+            const replay = gameDates.has(game.date);
+            gameDates.add(game.date);
+            const waste = Number.isFinite(game.wastePercent) ? game.wastePercent : 0;
+            // Only first and best runs kept their hints count
+            const known = !replay ? entry.first : (game.won && !game.undo && sameRun(entry.best, game.moves, waste) ? entry.best : null);
+            const run = { moves: game.moves, waste, won: game.won, hints: known && sameRun(known, game.moves, waste) ? known.hints : 0 };
+            const event = legacyEvent(game.date, run, replay, { undo: game.undo, hard: game.hardMode, timeMs: game.timeMs, maxMoves: game.maxMoves });
+            if (event) events.push(event);
+        }
+
+        for (const [date, entry] of Object.entries(entries)) {
+            if (gameDates.has(date) || !entry || !entry.first) continue;
+            const first = entry.first;
+            const hardFirst = entry.hard && sameRun(entry.hard.first, first.moves, first.waste);
+            const firstEvent = legacyEvent(date, first, false, { undo: first.undo, hard: hardFirst, timeMs: first.time });
+            if (firstEvent) events.push(firstEvent);
+            const best = entry.best;
+            if (best && !(first.won && !first.undo && sameRun(first, best.moves, best.waste) && (first.hints || 0) === (best.hints || 0))) {
+                const hardBest = entry.hard && sameRun(entry.hard.best, best.moves, best.waste);
+                const bestTime = Number.isFinite(entry.bestTime) && entry.bestTime !== first.time ? entry.bestTime : undefined;
+                const bestEvent = legacyEvent(date, Object.assign({ won: true }, best), true, { hard: hardBest, timeMs: bestTime });
+                if (bestEvent) events.push(bestEvent);
+            }
+        }
+        return events.sort((x, y) => (x.date < y.date ? -1 : x.date > y.date ? 1 : 0));
+    }
+
+    return {
+        MODES,
+        createRunEvent,
+        normalizeEvent,
+        countsTowardBest,
+        mergeLogs,
+        getFirstRuns,
+        summarize,
+        fromLegacy
+    };
+});
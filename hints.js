@@ -0,0 +1,104 @@
+/**
+ * Wordish hints — three escalating nudges for a game in progress, each computed from the
+ * current state and the food list:
+ *   1. how many valid ingredients could still clear at least one remaining letter
+ *   2. a letter to target (the remaining letter the fewest of those ingredients contain)
+ *   3. a full suggested ingredient (first step of the best finish from WordishSolver)
+ *
+ * Browser: load after rules.js and solver.js (exposes window.WordishHints).
+ * Node:    const WordishHints = require('./hints');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const hints = isNode
+        ? factory(require('./rules'), require('./solver'))
+        : factory(root.WordishRules, root.WordishSolver);
+    if (isNode) {
+        module.exports = hints;
+    } else {
+        root.WordishHints = hints;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules, WordishSolver) {
+    'use strict';
+
+    const MAX_HINT_TIER = 3;
+
+    // Letters still to clear, in dish order (adjective → noun)
+    function getRemainingLetters(state) {
+        return ((state.remainingAdjectives || []).join('') + (state.remainingNoun || '')).split('');
+    }
+
+    // Foods the rules would accept right now that match at least one remaining letter.
+    // foods = array of names; blocked = Set|array. Each entry is { food, matches }.
+    function getUsefulFoods(state, foods, blocked) {
+        const rules = { allowed: null, blocked: new Set(Array.from(blocked || []).map(WordishRules.normalizeIngredient)) };
+        const seen = new Set();
+        const useful = [];
+        for (const raw of foods || []) {
+            const food = WordishRules.normalizeIngredient(raw);
+            if (seen.has(food)) continue;
+            seen.add(food);
+            if (!WordishRules.validateIngredient(state, food, rules).ok) continue;
+            const matches = WordishRules.countMatches(WordishRules.matchIngredient(state, food).result);
+            if (matches > 0) useful.push({ food, matches });
+        }
+        return useful;
+    }
+
+    // Tier 1: number of valid ingredients that could still clear a remaining letter
+    function countUsefulFoods(state, foods, blocked) {
+        return getUsefulFoods(state, foods, blocked).length;
+    }
+
+    // Tier 2: the remaining letter contained in the fewest useful foods (earliest in the dish on ties), or null
+    function getTargetLetter(state, foods, blocked) {
+        const useful = getUsefulFoods(state, foods, blocked);
+        let best = null;
+        let bestCount = Infinity;
+        for (const letter of new Set(getRemainingLetters(state))) {
+            const count = useful.filter(u => u.food.includes(letter)).length;
+            if (count < bestCount) {
+                best = letter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    // Tier 3: next ingredient of the best possible finish; when the dish can no longer be
+    // finished in time, the food that clears the most letters (shortest on ties). Null if none helps.
+    function suggestIngredient(state, foods, blocked) {
+        const solution = WordishSolver.solveState(state, foods || [], { blocked: blocked || [] });
+        if (solution.solvable) return solution.recipe[0];
+        let best = null;
+        for (const candidate of getUsefulFoods(state, foods, blocked)) {
+            if (!best || candidate.matches > best.matches ||
+                (candidate.matches === best.matches && candidate.food.length < best.food.length)) {
+                best = candidate;
+            }
+        }
+        return best ? best.food : null;
+    }
+
+    /**
+     * Hints for tiers 1..tier against the current state.
+     * Returns { usefulCount, letter, ingredient }; fields above the requested tier are undefined.
+     */
+    function getHints(state, foods, blocked, tier) {
+        const level = Math.min(Math.max(tier || 0, 0), MAX_HINT_TIER);
+        const hints = {};
+        if (level >= 1) hints.usefulCount = countUsefulFoods(state, foods, blocked);
+        if (level >= 2) hints.letter = getTargetLetter(state, foods, blocked);
+        if (level >= 3) hints.ingredient = suggestIngredient(state, foods, blocked);
+        return hints;
+    }
+
+    return {
+        MAX_HINT_TIER,
+        getUsefulFoods,
+        countUsefulFoods,
+        getTargetLetter,
+        suggestIngredient,
+        getHints
+    };
+});
@@ -0,0 +1,245 @@
+/**
+ * Wordish storage migrations — upgrades what earlier versions of the game left in storage.
+ * The schema version lives under WordishStorage.KEYS.schema (none stored = 0, everything from before
+ * versioning). runMigrations applies MIGRATIONS in order from that version up to SCHEMA_VERSION.
+ * Entries that can't be read are moved to the quarantine list (KEYS.quarantine) rather than dropped or
+ * overwritten later, so they can still be recovered by hand.
+ *
+ * Every step must be safe to run again: imported and synced progress may come from a device that hasn't
+ * upgraded yet, and game.js runs all steps over it.
+ *
+ * Browser: load after rules.js, gamelog.js and storage.js (exposes window.WordishMigrations).
+ * Node:    const WordishMigrations = require('./migrations');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const migrations = isNode
+        ? factory(require('./rules'), require('./gamelog'), require('./storage'))
+        : factory(root.WordishRules, root.WordishGameLog, root.WordishStorage);
+    if (isNode) {
+        module.exports = migrations;
+    } else {
+        root.WordishMigrations = migrations;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules, WordishGameLog, WordishStorage) {
+    'use strict';
+
+    const { KEYS, SAVE_KEY_RE } = WordishStorage;
+    // Oldest quarantined entries are dropped past this many, so a broken write loop can't fill storage
+    const MAX_QUARANTINED = 50;
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isRun(run) {
+        return isObject(run) && Number.isFinite(run.moves) && Number.isFinite(run.waste);
+    }
+
+    function getQuarantine(backend) {
+        try {
+            const list = JSON.parse(backend.getItem(KEYS.quarantine) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Set an unreadable entry aside: { key, value, reason, at } is added to the quarantine list.
+     * value is the stored text (or, for one bad date inside attempts or stats, that part of it).
+     */
+    function quarantine(backend, key, value, reason, now) {
+        const list = getQuarantine(backend);
+        list.push({ key, value, reason, at: new Date(now || Date.now()).toISOString() });
+        backend.setItem(KEYS.quarantine, JSON.stringify(list.slice(-MAX_QUARANTINED)));
+    }
+
+    // Parse a stored entry. Returns { value } (value null when the key is empty) or { error } for the quarantine.
+    function readEntry(backend, key, check) {
+        const raw = backend.getItem(key);
+        if (raw === null || raw === undefined) return { value: null };
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (_) {
+            return { raw, error: 'not valid JSON' };
+        }
+        const problem = check(value);
+        return problem ? { raw, error: problem } : { value };
+    }
+
+    function setAside(ctx, key, read) {
+        ctx.quarantine(key, read.raw, read.error);
+        ctx.backend.removeItem(key);
+    }
+
+    // Per-date saves: set aside unreadable ones, turn the singular remainingAdjective into remainingAdjectives
+    function migrateSaves(ctx) {
+        for (const key of ctx.backend.keys().filter(k => SAVE_KEY_RE.test(k))) {
+            const read = readEntry(ctx.backend, key, (state) => {
+                if (!isObject(state)) return 'not a saved game';
+                if (state.history !== undefined && !Array.isArray(state.history)) return 'history is not a list';
+                return null;
+            });
+            if (read.error) {
+                setAside(ctx, key, read);
+                continue;
+            }
+            const state = read.value;
+            if (!state || !('remainingAdjective' in state)) continue;
+            if (!Array.isArray(state.remainingAdjectives) && typeof state.remainingAdjective === 'string' && state.remainingAdjective) {
+                state.remainingAdjectives = [state.remainingAdjective];
+            }
+            delete state.remainingAdjective;
+            ctx.backend.setItem(key, JSON.stringify(state));
+        }
+    }
+
+    // Attempts: set aside the whole record if unreadable, or single dates without a first run
+    function migrateAttempts(ctx) {
+        const read = readEntry(ctx.backend, KEYS.attempts, (data) => (isObject(data) ? null : 'not an attempts record'));
+        if (read.error) return setAside(ctx, KEYS.attempts, read);
+        if (!read.value) return;
+        const data = read.value;
+        let changed = false;
+        for (const [date, entry] of Object.entries(data)) {
+            if (isObject(entry) && isRun(entry.first) && (entry.best === null || entry.best === undefined || isRun(entry.best))) continue;
+            ctx.quarantine(KEYS.attempts, JSON.stringify({ [date]: entry }), 'unreadable attempt');
+            delete data[date];
+            changed = true;
+        }
+        if (changed) ctx.backend.setItem(KEYS.attempts, JSON.stringify(data));
+    }
+
+    // Stats: set aside the record if unreadable, or single games without a date and result
+    function migrateStats(ctx) {
+        const read = readEntry(ctx.backend, KEYS.stats, (data) => (isObject(data) && Array.isArray(data.games) ? null : 'not a stats record'));
+        if (read.error) return setAside(ctx, KEYS.stats, read);
+        if (!read.value) return;
+        const data = read.value;
+        const games = data.games.filter(game => isObject(game) && typeof game.date === 'string' && typeof game.won === 'boolean');
+        if (games.length === data.games.length) return;
+        data.games.filter(game => !games.includes(game))
+            .forEach(game => ctx.quarantine(KEYS.stats, JSON.stringify(game), 'unreadable game'));
+        data.games = games;
+        ctx.backend.setItem(KEYS.stats, JSON.stringify(data));
+    }
+
+    function migratePracticeStats(ctx) {
+        const read = readEntry(ctx.backend, KEYS.practiceStats, (data) => (isObject(data) ? null : 'not a practice stats record'));
+        if (read.error) setAside(ctx, KEYS.practiceStats, read);
+    }
+
+    // Attempts recorded before hadStarIngredient was stored get it from the date's saved game
+    function backfillStarIngredient(ctx) {
+        const read = readEntry(ctx.backend, KEYS.attempts, (data) => (isObject(data) ? null : 'not an attempts record'));
+        if (read.error || !read.value) return;
+        const data = read.value;
+        let changed = false;
+        for (const [date, entry] of Object.entries(data)) {
+            if (entry.hadStarIngredient !== undefined) continue;
+            const save = readEntry(ctx.backend, `dish_of_the_day_${date}`, () => null).value;
+            if (!isObject(save) || !Array.isArray(save.history)) continue;
+            entry.hadStarIngredient = WordishRules.hadStarIngredient(save.history, ctx.getLimits(date).starMatchThreshold);
+            changed = true;
+        }
+        if (changed) ctx.backend.setItem(KEYS.attempts, JSON.stringify(data));
+    }
+
+    /**
+     * Stats (every finish) and attempts (first and best run per date) become one game log. Unreadable
+     * events already in the log are set aside; the legacy keys are removed once their runs are in it.
+     * Importing or syncing the same legacy progress again adds nothing (WordishGameLog.mergeLogs).
+     */
+    function moveIntoGameLog(ctx) {
+        const read = readEntry(ctx.backend, KEYS.log, (data) => (isObject(data) && Array.isArray(data.events) ? null : 'not a game log'));
+        if (read.error) setAside(ctx, KEYS.log, read);
+        const events = [];
+        for (const raw of read.value ? read.value.events : []) {
+            const event = WordishGameLog.normalizeEvent(raw);
+            if (event) {
+                events.push(event);
+            } else {
+                ctx.quarantine(KEYS.log, JSON.stringify(raw), 'unreadable run');
+            }
+        }
+        const stats = readEntry(ctx.backend, KEYS.stats, () => null).value;
+        const attempts = readEntry(ctx.backend, KEYS.attempts, () => null).value;
+        const legacy = WordishGameLog.fromLegacy(stats, attempts, ctx.getLimits);
+        if (!read.value && !legacy.length && stats === null && attempts === null) return;
+        ctx.backend.setItem(KEYS.log, JSON.stringify({ events: WordishGameLog.mergeLogs(events, legacy) }));
+        ctx.backend.removeItem(KEYS.stats);
+        ctx.backend.removeItem(KEYS.attempts);
+    }
+
+    // In order; a step's version is the schema version once it has run
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Quarantine unreadable saves, attempts and stats; remainingAdjective becomes remainingAdjectives',
+            migrate(ctx) {
+                migrateSaves(ctx);
+                migrateAttempts(ctx);
+                migrateStats(ctx);
+                migratePracticeStats(ctx);
+            }
+        },
+        {
+            version: 2,
+            description: 'Back-fill hadStarIngredient on attempts recorded before it was stored',
+            migrate: backfillStarIngredient
+        },
+        {
+            version: 3,
+            description: 'Move stats and attempts into the game log',
+            migrate: moveIntoGameLog
+        }
+    ];
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    function getSchemaVersion(backend) {
+        const version = parseInt(backend.getItem(KEYS.schema), 10);
+        return Number.isInteger(version) && version >= 0 ? version : 0;
+    }
+
+    /**
+     * Bring a backend up to SCHEMA_VERSION.
+     * options: { getLimits(date) => puzzle limits (starMatchThreshold, elegantMaxMoves; default WordishRules.getPuzzleLimits()),
+     *            from: version to start from (default: the stored one; 0 runs every step), now: ms timestamp }
+     * Returns { from, to, quarantined } (to is the version reached). Storage written by a newer game is left
+     * alone. A step that throws stops the run without recording it, so it is tried again next time.
+     */
+    function runMigrations(backend, options) {
+        const opts = options || {};
+        const from = Number.isInteger(opts.from) ? opts.from : getSchemaVersion(backend);
+        let quarantined = 0;
+        if (from > SCHEMA_VERSION) return { from, to: from, quarantined };
+        const ctx = {
+            backend,
+            getLimits: opts.getLimits || (() => WordishRules.getPuzzleLimits()),
+            quarantine(key, value, reason) {
+                quarantine(backend, key, value, reason, opts.now);
+                quarantined++;
+            }
+        };
+        let to = from;
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= from) continue;
+            migration.migrate(ctx);
+            to = migration.version;
+            backend.setItem(KEYS.schema, String(to));
+        }
+        return { from, to, quarantined };
+    }
+
+    return {
+        SCHEMA_VERSION,
+        MAX_QUARANTINED,
+        MIGRATIONS,
+        getSchemaVersion,
+        getQuarantine,
+        quarantine,
+        runMigrations
+    };
+});
@@ -0,0 +1,88 @@
+/**
+ * Wordish pantry — every ingredient the player has cooked with, gathered from the saved daily games
+ * (each date's history, plus the ingredients the game didn't recognize, kept on the save as rejected).
+ * Shown on the stats modal's Pantry tab.
+ *
+ * Browser: load after rules.js (exposes window.WordishPantry).
+ * Node:    const WordishPantry = require('./pantry');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const pantry = factory(isNode ? require('./rules') : root.WordishRules);
+    if (isNode) {
+        module.exports = pantry;
+    } else {
+        root.WordishPantry = pantry;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules) {
+    'use strict';
+
+    // Ingredients are stored normalized (WordishRules.normalizeIngredient); anything else is skipped
+    const INGREDIENT_RE = /^[A-Z]+$/;
+
+    function isIngredient(value) {
+        return typeof value === 'string' && INGREDIENT_RE.test(value);
+    }
+
+    function byCountThenName(a, b) {
+        return (b.count - a.count) || (a.ingredient < b.ingredient ? -1 : a.ingredient > b.ingredient ? 1 : 0);
+    }
+
+    /**
+     * Aggregate saved games. saves = [{ date, history, rejected }] in any order.
+     * Returns {
+     *   ingredients: [{ ingredient, count, averageMatched }], most used first (then A–Z),
+     *   totalUsed: ingredients added across all dishes, averageMatched: letters matched per ingredient,
+     *   best: { ingredient, matches, date } or null — the most letters one ingredient ever matched
+     *     (each dish's star ingredient, WordishRules.getStarIngredientItem; the earliest date wins ties),
+     *   rejected: [{ ingredient, count }] — ingredients tried but not recognized, by days tried
+     * }
+     * averageMatched values are rounded to one decimal.
+     */
+    function buildPantry(saves) {
+        const used = new Map();
+        const rejected = new Map();
+        let totalUsed = 0;
+        let totalMatched = 0;
+        let best = null;
+
+        const ordered = (saves || []).filter(save => save && typeof save.date === 'string')
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        for (const save of ordered) {
+            const history = (Array.isArray(save.history) ? save.history : [])
+                .filter(item => item && isIngredient(item.ingredient) && Array.isArray(item.result));
+            for (const item of history) {
+                const matched = WordishRules.countMatches(item.result);
+                const entry = used.get(item.ingredient) || { ingredient: item.ingredient, count: 0, matched: 0 };
+                entry.count++;
+                entry.matched += matched;
+                used.set(item.ingredient, entry);
+                totalUsed++;
+                totalMatched += matched;
+            }
+            const star = WordishRules.getStarIngredientItem(history);
+            const matches = star ? WordishRules.countMatches(star.result) : 0;
+            if (star && (!best || matches > best.matches)) best = { ingredient: star.ingredient, matches, date: save.date };
+
+            const tried = new Set((Array.isArray(save.rejected) ? save.rejected : []).filter(isIngredient));
+            for (const ingredient of tried) {
+                rejected.set(ingredient, (rejected.get(ingredient) || 0) + 1);
+            }
+        }
+
+        const oneDecimal = (n) => Math.round(n * 10) / 10;
+        return {
+            ingredients: [...used.values()]
+                .map(entry => ({ ingredient: entry.ingredient, count: entry.count, averageMatched: oneDecimal(entry.matched / entry.count) }))
+                .sort(byCountThenName),
+            totalUsed,
+            averageMatched: totalUsed ? oneDecimal(totalMatched / totalUsed) : 0,
+            best,
+            rejected: [...rejected.entries()].map(([ingredient, count]) => ({ ingredient, count })).sort(byCountThenName)
+        };
+    }
+
+    return {
+        buildPantry
+    };
+});
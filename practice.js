@@ -0,0 +1,89 @@
+/**
+ * Wordish practice — unlimited rounds of random one-adjective dishes once the daily puzzle is done.
+ * Words come from practice-words.json ({ adjectives, nouns }, built from scripts/wordish-puzzles.csv
+ * by scripts/build-practice-words.js). Every dish is checked with WordishSolver before it is served,
+ * and results are summed into their own stats record, never the daily stats or attempts.
+ *
+ * Browser: load after rules.js and solver.js (exposes window.WordishPractice).
+ * Node:    const WordishPractice = require('./practice');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const practice = isNode
+        ? factory(require('./rules'), require('./solver'))
+        : factory(root.WordishRules, root.WordishSolver);
+    if (isNode) {
+        module.exports = practice;
+    } else {
+        root.WordishPractice = practice;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules, WordishSolver) {
+    'use strict';
+
+    // Practice puzzles use this in place of a date (gameState.puzzleDate, hint cache keys)
+    const PRACTICE_DATE = 'practice';
+    // Random pairings tried before giving up on finding a solvable dish
+    const MAX_PICK_ATTEMPTS = 25;
+
+    function pairKey(adjective, noun) {
+        return `${adjective} ${noun}`;
+    }
+
+    /**
+     * A random solvable practice puzzle, or null if none was found in MAX_PICK_ATTEMPTS tries.
+     * words = { adjectives, nouns }; foods = array of allowed ingredient names.
+     * options: { blocked: Set|array, avoid: Set of "ADJECTIVE NOUN" pairs (e.g. the daily calendar),
+     *            random: () => [0, 1) (default Math.random) }
+     * The puzzle is { date: PRACTICE_DATE, practice: true, adjectives: [adjective], noun }.
+     */
+    function createPracticePuzzle(words, foods, options) {
+        const opts = options || {};
+        const random = opts.random || Math.random;
+        const avoid = opts.avoid || new Set();
+        const foodSet = new Set((foods || []).map(WordishRules.normalizeIngredient));
+        const adjectives = ((words && words.adjectives) || []).filter(a => /^[A-Z]+$/.test(a) && !foodSet.has(a));
+        const nouns = ((words && words.nouns) || []).filter(n => /^[A-Z]+$/.test(n));
+        if (!adjectives.length || !nouns.length) return null;
+
+        for (let attempt = 0; attempt < MAX_PICK_ATTEMPTS; attempt++) {
+            const adjective = adjectives[Math.floor(random() * adjectives.length)];
+            const noun = nouns[Math.floor(random() * nouns.length)];
+            if (adjective === noun || avoid.has(pairKey(adjective, noun))) continue;
+            const puzzle = { date: PRACTICE_DATE, practice: true, adjectives: [adjective], noun };
+            if (WordishSolver.solvePuzzle(puzzle, foods, { blocked: opts.blocked || [] }).solvable) return puzzle;
+        }
+        return null;
+    }
+
+    function createPracticeStats() {
+        return { played: 0, won: 0, streak: 0, maxStreak: 0, winMoves: 0, stars: 0 };
+    }
+
+    /**
+     * Add one finished round to a practice stats record (missing fields count as zero).
+     * Returns a new record; stars = number of stars the round earned.
+     */
+    function recordPracticeResult(stats, state, stars) {
+        const next = Object.assign(createPracticeStats(), stats || {});
+        next.played++;
+        if (state.isWon) {
+            next.won++;
+            next.streak++;
+            next.maxStreak = Math.max(next.maxStreak, next.streak);
+            next.winMoves += state.moves;
+            next.stars += stars || 0;
+        } else {
+            next.streak = 0;
+        }
+        return next;
+    }
+
+    return {
+        PRACTICE_DATE,
+        MAX_PICK_ATTEMPTS,
+        pairKey,
+        createPracticePuzzle,
+        createPracticeStats,
+        recordPracticeResult
+    };
+});
@@ -0,0 +1,193 @@
+/**
+ * Wordish profile files — export and import of a player's progress as versioned JSON, so it can
+ * move between devices or be restored after the browser's storage is cleared.
+ *
+ * A snapshot is the plain-object view of what game.js keeps in localStorage:
+ *   { log: { events: [...] } (gamelog.js), practiceStats: object|null, saves: { [date]: game state },
+ *     settings: { darkMode, hardMode, preview, speedRun },
+ *     stats: { games: [...] }, attempts: { [date]: entry } (from before the game log; empty once migrated) }
+ * A profile is a snapshot plus { format: PROFILE_FORMAT, version: PROFILE_VERSION, exportedAt }.
+ * Version 1 profiles had no log; their stats and attempts are moved into it by migrations.js on import.
+ *
+ * Browser: load after rules.js and gamelog.js (exposes window.WordishProfile).
+ * Node:    const WordishProfile = require('./profile');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const profile = isNode
+        ? factory(require('./rules'), require('./gamelog'))
+        : factory(root.WordishRules, root.WordishGameLog);
+    if (isNode) {
+        module.exports = profile;
+    } else {
+        root.WordishProfile = profile;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules, WordishGameLog) {
+    'use strict';
+
+    const PROFILE_FORMAT = 'wordish-profile';
+    const PROFILE_VERSION = 2;
+    const SETTINGS = ['darkMode', 'hardMode', 'preview', 'speedRun'];
+    const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isRun(run) {
+        return isObject(run) && Number.isFinite(run.moves) && Number.isFinite(run.waste);
+    }
+
+    function createProfile(snapshot, exportedAt) {
+        return Object.assign({ format: PROFILE_FORMAT, version: PROFILE_VERSION, exportedAt: exportedAt || null },
+            normalizeSnapshot(snapshot).snapshot);
+    }
+
+    // Keep only well-formed parts of a snapshot. Returns { snapshot, skipped } (number of dropped entries).
+    function normalizeSnapshot(raw) {
+        const source = isObject(raw) ? raw : {};
+        let skipped = 0;
+
+        const events = [];
+        for (const item of (isObject(source.log) && Array.isArray(source.log.events) ? source.log.events : [])) {
+            const event = WordishGameLog.normalizeEvent(item);
+            if (event) {
+                events.push(event);
+            } else {
+                skipped++;
+            }
+        }
+
+        const games = [];
+        for (const game of (isObject(source.stats) && Array.isArray(source.stats.games) ? source.stats.games : [])) {
+            if (isObject(game) && typeof game.date === 'string' && DATE_RE.test(game.date) && typeof game.won === 'boolean') {
+                games.push(game);
+            } else {
+                skipped++;
+            }
+        }
+
+        const attempts = {};
+        for (const [date, entry] of Object.entries(isObject(source.attempts) ? source.attempts : {})) {
+            if (DATE_RE.test(date) && isObject(entry) && isRun(entry.first) && (entry.best === null || entry.best === undefined || isRun(entry.best))) {
+                attempts[date] = entry;
+            } else {
+                skipped++;
+            }
+        }
+
+        const saves = {};
+        for (const [date, state] of Object.entries(isObject(source.saves) ? source.saves : {})) {
+            if (DATE_RE.test(date) && isObject(state) && Array.isArray(state.history)) {
+                saves[date] = state;
+            } else {
+                skipped++;
+            }
+        }
+
+        const settings = {};
+        const rawSettings = isObject(source.settings) ? source.settings : {};
+        for (const name of SETTINGS) {
+            if (typeof rawSettings[name] === 'boolean') settings[name] = rawSettings[name];
+        }
+
+        const practiceStats = isObject(source.practiceStats) ? source.practiceStats : null;
+        return { snapshot: { log: { events }, stats: { games }, attempts, practiceStats, saves, settings }, skipped };
+    }
+
+    /**
+     * Read a profile file's text. Returns { ok: true, snapshot, skipped } or { ok: false, error } where
+     * error is a sentence for the player.
+     */
+    function parseProfile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { ok: false, error: 'That file is not a wordish profile (it is not valid JSON).' };
+        }
+        if (!isObject(data) || data.format !== PROFILE_FORMAT || !Number.isInteger(data.version)) {
+            return { ok: false, error: 'That file is not a wordish profile.' };
+        }
+        if (data.version > PROFILE_VERSION) {
+            return { ok: false, error: 'That profile was made by a newer version of wordish. Reload the game and try again.' };
+        }
+        const { snapshot, skipped } = normalizeSnapshot(data);
+        return { ok: true, snapshot, skipped };
+    }
+
+    function betterRun(a, b) {
+        if (!isRun(a)) return isRun(b) ? b : null;
+        if (!isRun(b)) return a;
+        return WordishRules.isBetterRun(b.moves, b.waste, a.moves, a.waste) ? b : a;
+    }
+
+    // One date's attempts from two devices: this device's first run, the better best, starred if either was
+    function mergeAttemptEntry(current, incoming) {
+        if (!current) return incoming;
+        if (!incoming) return current;
+        const merged = Object.assign({}, incoming, current);
+        merged.best = betterRun(current.best, incoming.best);
+        if (current.hadStarIngredient || incoming.hadStarIngredient) merged.hadStarIngredient = true;
+        if (current.hard || incoming.hard) {
+            const hard = Object.assign({}, (incoming.hard || {}), (current.hard || {}));
+            hard.best = betterRun(current.hard && current.hard.best, incoming.hard && incoming.hard.best);
+            merged.hard = hard;
+        }
+        const times = [current.bestTime, incoming.bestTime].filter(Number.isFinite);
+        if (times.length) merged.bestTime = Math.min(...times);
+        return merged;
+    }
+
+    /**
+     * Combine this device's snapshot with an imported one:
+     *   - log: every run from both (WordishGameLog.mergeLogs)
+     *   - attempts: per date, via mergeAttemptEntry
+     *   - stats games: both lists, without exact duplicates (importing the same file twice adds nothing), by date
+     *   - saves: this device's save unless it is missing or unfinished while the imported one is finished
+     *   - practice stats: whichever record has more rounds (running totals can't be added without double counting)
+     *   - settings: this device's
+     */
+    function mergeSnapshots(current, incoming) {
+        const a = normalizeSnapshot(current).snapshot;
+        const b = normalizeSnapshot(incoming).snapshot;
+
+        const attempts = Object.assign({}, b.attempts);
+        for (const [date, entry] of Object.entries(a.attempts)) attempts[date] = mergeAttemptEntry(entry, b.attempts[date]);
+
+        const seen = new Set();
+        const games = [];
+        for (const game of a.stats.games.concat(b.stats.games)) {
+            const key = JSON.stringify(game);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            games.push(game);
+        }
+        games.sort((x, y) => (x.date < y.date ? -1 : x.date > y.date ? 1 : 0));
+
+        const saves = Object.assign({}, b.saves);
+        for (const [date, state] of Object.entries(a.saves)) {
+            const other = b.saves[date];
+            const finished = (s) => !!(s && (s.isWon || s.isLost));
+            if (!other || finished(state) || !finished(other)) saves[date] = state;
+        }
+
+        const practiceStats = ((b.practiceStats && b.practiceStats.played) || 0) > ((a.practiceStats && a.practiceStats.played) || 0)
+            ? b.practiceStats
+            : a.practiceStats;
+
+        const log = { events: WordishGameLog.mergeLogs(a.log.events, b.log.events) };
+        return { log, stats: { games }, attempts, practiceStats, saves, settings: a.settings };
+    }
+
+    return {
+        PROFILE_FORMAT,
+        PROFILE_VERSION,
+        SETTINGS,
+        createProfile,
+        normalizeSnapshot,
+        parseProfile,
+        mergeAttemptEntry,
+        mergeSnapshots
+    };
+});
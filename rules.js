@@ -0,0 +1,401 @@
+/**
+ * Wordish rules engine — pure matching, validation and scoring with no DOM access.
+ * State in, ingredient in, new state + per-letter result out.
+ *
+ * Browser: load with a plain <script> before game.js (exposes window.WordishRules).
+ * Node:    const WordishRules = require('./rules');
+ */
+(function (root, factory) {
+    const rules = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = rules;
+    } else {
+        root.WordishRules = rules;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_MOVES = 5;
+    const ELEGANT_MAX_MOVES = 3;
+    const STAR_MATCH_THRESHOLD = 6;
+    const TROPHY_WASTE_PERCENT = 25;
+    const MIN_INGREDIENT_LENGTH = 2;
+    const MAX_INGREDIENT_LENGTH = 12;
+    // Hard mode: every ingredient must match this many letters (fewer only when fewer remain)
+    const HARD_MODE_MIN_MATCHES = 3;
+    // Letter-assignment rule sets a puzzle can pick with its `rules` field (first = default)
+    const RULE_SETS = ['greedy', 'shortest'];
+    // Dishes have 1–MAX_ADJECTIVES adjectives, each on its own line above the noun
+    const MAX_ADJECTIVES = 3;
+
+    // Normalize puzzle to new format (adjectives array - 1 to MAX_ADJECTIVES adjectives)
+    function getPuzzleAdjectives(puzzle) {
+        if (Array.isArray(puzzle.adjectives) && puzzle.adjectives.length >= 1) {
+            return puzzle.adjectives.slice(0, MAX_ADJECTIVES);
+        }
+        if (puzzle.adjective) {
+            return [puzzle.adjective];
+        }
+        return [''];
+    }
+
+    // Move limit and star targets for a puzzle. puzzles.json entries may override any of them
+    // with positive integers (maxMoves, elegantMaxMoves, starMatchThreshold); elegance is capped at maxMoves.
+    function getPuzzleLimits(puzzle) {
+        const pick = (value, fallback) => (Number.isInteger(value) && value > 0 ? value : fallback);
+        const p = puzzle || {};
+        const maxMoves = pick(p.maxMoves, MAX_MOVES);
+        return {
+            maxMoves,
+            elegantMaxMoves: Math.min(pick(p.elegantMaxMoves, ELEGANT_MAX_MOVES), maxMoves),
+            starMatchThreshold: pick(p.starMatchThreshold, STAR_MATCH_THRESHOLD)
+        };
+    }
+
+    // Theme of a puzzle: { name, pool }. name is the display name ('' when unthemed); pool is the
+    // ingredientPool reference (pools/<pool>.json, lowercase letters, digits and dashes) or null.
+    function getPuzzleTheme(puzzle) {
+        const p = puzzle || {};
+        const name = typeof p.theme === 'string' ? p.theme.trim() : '';
+        const pool = typeof p.ingredientPool === 'string' && /^[a-z0-9-]+$/.test(p.ingredientPool) ? p.ingredientPool : null;
+        return { name, pool };
+    }
+
+    // Limits a state plays under (states saved before per-puzzle limits use the defaults)
+    function getStateLimits(state) {
+        return (state && state.limits) || getPuzzleLimits(null);
+    }
+
+    // Rule set for a puzzle: 'greedy' (default) or 'shortest'. Unknown values fall back to greedy.
+    function getPuzzleRules(puzzle) {
+        return puzzle && RULE_SETS.includes(puzzle.rules) ? puzzle.rules : RULE_SETS[0];
+    }
+
+    // Fresh game state for a puzzle (same shape that is saved per date)
+    function createState(puzzle) {
+        const adjectives = getPuzzleAdjectives(puzzle);
+        return {
+            rules: getPuzzleRules(puzzle),
+            limits: getPuzzleLimits(puzzle),
+            adjectives: adjectives,
+            noun: puzzle.noun || '',
+            remainingAdjectives: adjectives.slice(),
+            remainingNoun: puzzle.noun || '',
+            moves: 0,
+            history: [],
+            isWon: false,
+            isLost: false,
+            isElegant: false,
+            hintsUsed: 0,
+            hardMode: false,
+            undoUsed: false,
+            puzzleDate: puzzle.date || ''
+        };
+    }
+
+    function isMatchStatus(status) {
+        return status === 'adj' || status === 'noun';
+    }
+
+    // Number of letters in a result row that matched the dish
+    function countMatches(result) {
+        return (result || []).filter(r => isMatchStatus(r.status)).length;
+    }
+
+    // Number of letters in a result row that were discarded
+    function countWaste(result) {
+        return (result || []).filter(r => (r.status || 'plain') === 'plain').length;
+    }
+
+    // Set of "lineIndex,indexInLine" for every position matched by the given results.
+    function getMatchedPositionKeys(results) {
+        const keys = new Set();
+        for (const result of results) {
+            for (const r of (result || [])) {
+                if (isMatchStatus(r.status) && typeof r.lineIndex === 'number' && typeof r.indexInLine === 'number') {
+                    keys.add(`${r.lineIndex},${r.indexInLine}`);
+                }
+            }
+        }
+        return keys;
+    }
+
+    // Display lines of a state, top to bottom: each adjective, then the noun (always last)
+    function getDishLines(state) {
+        return (state.adjectives || []).concat([state.noun || '']);
+    }
+
+    // Letter states for the dish, one array per line (lines as in getDishLines, noun last).
+    // extraResults are in-flight (not yet in history).
+    function getLetterStates(state, extraResults) {
+        const results = (state.history || []).map(item => item.result).concat(extraResults || []);
+        const matchedKeys = getMatchedPositionKeys(results);
+
+        function processLine(original, lineIndex) {
+            const letters = [];
+            const chars = (original || '').trim().split('');
+            for (let indexInLine = 0; indexInLine < chars.length; indexInLine++) {
+                const key = `${lineIndex},${indexInLine}`;
+                letters.push({ char: chars[indexInLine], state: matchedKeys.has(key) ? 'matched' : 'active' });
+            }
+            return letters;
+        }
+
+        return getDishLines(state).map((line, lineIndex) => processLine(line, lineIndex));
+    }
+
+    // Build active (remaining) letters arrays from display states, preserving original indices.
+    function buildActiveFromStates(states) {
+        const chars = [];
+        const indices = [];
+        for (let i = 0; i < states.length; i++) {
+            const s = states[i];
+            if (s && s.state === 'active') {
+                chars.push(s.char);
+                indices.push(i);
+            }
+        }
+        return { chars, indices };
+    }
+
+    function takeActive(active, j) {
+        const originalIndex = active.indices[j];
+        active.chars.splice(j, 1);
+        active.indices.splice(j, 1);
+        return originalIndex;
+    }
+
+    // Status of a match on lineIndex when there are lineCount lines: the last line is the noun
+    function lineStatus(lineIndex, lineCount) {
+        return lineIndex === lineCount - 1 ? 'noun' : 'adj';
+    }
+
+    // Match one letter against active arrays (adjectives → noun) in display order; returns original index.
+    // activeLines are the active arrays of every line top to bottom, noun last
+    // (e.g. matchOneLetterActive('L', activeAdj, activeNoun)).
+    // Mutates the active arrays so the matched letter can't be used again.
+    function matchOneLetterActive(letter, ...activeLines) {
+        for (let lineIndex = 0; lineIndex < activeLines.length; lineIndex++) {
+            const j = activeLines[lineIndex].chars.indexOf(letter);
+            if (j >= 0) {
+                return { status: lineStatus(lineIndex, activeLines.length), lineIndex, indexInLine: takeActive(activeLines[lineIndex], j) };
+            }
+        }
+        return { status: 'plain' };
+    }
+
+    // 'shortest' rules: the letter clears a tile in whichever word has the fewest letters left
+    // (the earlier word on ties), first occurrence within that word. This is cosmetic: a letter
+    // removes the same letter wherever it lands, so the letters left to find (and so moves, waste
+    // and stars) are the same as under greedy rules; only which word's tile lights up differs.
+    // Same contract as matchOneLetterActive.
+    function matchOneLetterShortest(letter, ...activeLines) {
+        let best = -1;
+        for (let lineIndex = 0; lineIndex < activeLines.length; lineIndex++) {
+            const line = activeLines[lineIndex];
+            if (line.chars.includes(letter) && (best < 0 || line.chars.length < activeLines[best].chars.length)) {
+                best = lineIndex;
+            }
+        }
+        if (best < 0) return { status: 'plain' };
+        const line = activeLines[best];
+        return { status: lineStatus(best, activeLines.length), lineIndex: best, indexInLine: takeActive(line, line.chars.indexOf(letter)) };
+    }
+
+    // Match a whole ingredient left-to-right against the letters still active in state,
+    // placing each letter by the state's rule set (greedy adjectives → noun, or shortest word first).
+    // Returns the per-letter result plus the remaining (unmatched) letters of each line.
+    function matchIngredient(state, ingredient) {
+        const activeLines = getLetterStates(state).map(buildActiveFromStates);
+        const matchOne = state.rules === 'shortest' ? matchOneLetterShortest : matchOneLetterActive;
+        const result = [];
+        for (const letter of ingredient) {
+            const { status, lineIndex, indexInLine } = matchOne(letter, ...activeLines);
+            const item = { letter, status };
+            if (isMatchStatus(status)) {
+                item.lineIndex = lineIndex;
+                item.indexInLine = indexInLine;
+            }
+            result.push(item);
+        }
+        const remaining = activeLines.map(active => active.chars.join(''));
+        return {
+            result,
+            remainingAdjectives: remaining.slice(0, -1),
+            remainingNoun: remaining[remaining.length - 1]
+        };
+    }
+
+    // Matches an ingredient needs under state's rules: 1 normally; in hard mode
+    // HARD_MODE_MIN_MATCHES, capped at the letters left so the dish can still be finished.
+    function getRequiredMatches(state) {
+        if (!state.hardMode) return 1;
+        const remaining = ((state.remainingAdjectives || []).join('') + (state.remainingNoun || '')).replace(/\s/g, '').length;
+        return Math.max(1, Math.min(HARD_MODE_MIN_MATCHES, remaining));
+    }
+
+    function normalizeIngredient(ingredient) {
+        return String(ingredient || '').toUpperCase().trim();
+    }
+
+    // Check an ingredient against the rules. foods = { allowed: Set|null, blocked: Set } (allowed null = allow all).
+    // Returns { ok: true } or { ok: false, reason } where reason is one of
+    // 'too_long' | 'invalid' | 'duplicate' | 'dish' | 'blocked' | 'unknown' | 'too_few_matches'
+    // ('too_few_matches' only in hard mode; it also carries required = matches needed).
+    function validateIngredient(state, ingredient, foods) {
+        ingredient = normalizeIngredient(ingredient);
+        const allowed = foods ? foods.allowed : null;
+        const blocked = (foods && foods.blocked) || new Set();
+
+        if (ingredient.length > MAX_INGREDIENT_LENGTH) return { ok: false, reason: 'too_long' };
+        if (!new RegExp(`^[A-Z]{${MIN_INGREDIENT_LENGTH},${MAX_INGREDIENT_LENGTH}}$`).test(ingredient)) {
+            return { ok: false, reason: 'invalid' };
+        }
+        if ((state.history || []).some(h => (h.ingredient || '').toUpperCase() === ingredient)) {
+            return { ok: false, reason: 'duplicate' };
+        }
+        const puzzleNoun = normalizeIngredient(state.noun);
+        if (puzzleNoun && ingredient === puzzleNoun) return { ok: false, reason: 'dish' };
+        if (blocked.has(ingredient)) return { ok: false, reason: 'blocked' };
+        if (allowed && !allowed.has(ingredient)) return { ok: false, reason: 'unknown' };
+        if (state.hardMode) {
+            const required = getRequiredMatches(state);
+            if (countMatches(matchIngredient(state, ingredient).result) < required) {
+                return { ok: false, reason: 'too_few_matches', required };
+            }
+        }
+        return { ok: true };
+    }
+
+    // Apply an (already validated) ingredient. Does not mutate state; returns { state, result }.
+    function applyIngredient(state, ingredient) {
+        ingredient = normalizeIngredient(ingredient);
+        const match = matchIngredient(state, ingredient);
+        const next = Object.assign({}, state, {
+            remainingAdjectives: match.remainingAdjectives,
+            remainingNoun: match.remainingNoun,
+            moves: (state.moves || 0) + 1,
+            history: (state.history || []).concat([{ ingredient, result: match.result }])
+        });
+
+        const allAdjsEmpty = next.remainingAdjectives.every(r => r.replace(/\s/g, '') === '');
+        const nounEmpty = (next.remainingNoun || '').replace(/\s/g, '') === '';
+        const limits = getStateLimits(state);
+        if (allAdjsEmpty && nounEmpty) {
+            next.isWon = true;
+            next.isElegant = next.moves <= limits.elegantMaxMoves;
+        } else if (next.moves >= limits.maxMoves) {
+            next.isLost = true;
+        }
+        return { state: next, result: match.result };
+    }
+
+    // Take back the last ingredient by replaying the rest of history from the start of the dish,
+    // so remaining letters and matched positions come out exactly as if it was never added.
+    // Keeps per-run fields (hintsUsed, hardMode, …). Does not mutate state.
+    function undoLastIngredient(state) {
+        const adjectives = state.adjectives || [];
+        let next = Object.assign({}, state, {
+            remainingAdjectives: adjectives.slice(),
+            remainingNoun: state.noun || '',
+            moves: 0,
+            history: [],
+            isWon: false,
+            isLost: false,
+            isElegant: false
+        });
+        for (const item of (state.history || []).slice(0, -1)) {
+            next = applyIngredient(next, item.ingredient).state;
+        }
+        return next;
+    }
+
+    // Waste percentage across the whole recipe (letters not matched / letters used)
+    function getWastePercent(history) {
+        const totalLetters = (history || []).reduce((sum, item) => sum + item.ingredient.length, 0);
+        const wasteLetters = (history || []).reduce((sum, item) => sum + countWaste(item.result), 0);
+        return totalLetters > 0 ? Math.round((wasteLetters / totalLetters) * 100) : 0;
+    }
+
+    // Whether any ingredient in history had 6+ matching letters (star ingredient).
+    // threshold defaults to STAR_MATCH_THRESHOLD; pass the puzzle's own from getPuzzleLimits.
+    function hadStarIngredient(history, threshold) {
+        const min = threshold || STAR_MATCH_THRESHOLD;
+        return (history || []).some(item => countMatches(item.result) >= min);
+    }
+
+    // Star ingredient: most matches, then least waste, then earliest. Returns the history item or null.
+    function getStarIngredientItem(history) {
+        let best = null;
+        let bestMatches = -1;
+        let bestWaste = Infinity;
+        for (const item of (history || [])) {
+            const matches = countMatches(item.result);
+            const waste = countWaste(item.result);
+            if (matches > bestMatches || (matches === bestMatches && waste < bestWaste)) {
+                best = item;
+                bestMatches = matches;
+                bestWaste = waste;
+            }
+        }
+        return best;
+    }
+
+    // Four stars: complete, elegant (≤3 moves), flavorful (6+ match), skillful (≤25% waste, no hints).
+    // Elegant and flavorful use the state's own limits.
+    function getStars(state) {
+        const complete = !!state.isWon;
+        const elegant = complete && !!state.isElegant;
+        const flavorful = complete && hadStarIngredient(state.history, getStateLimits(state).starMatchThreshold);
+        const skillful = complete && !state.hintsUsed && getWastePercent(state.history) <= TROPHY_WASTE_PERCENT;
+        return { complete, elegant, flavorful, skillful };
+    }
+
+    function countStars(stars) {
+        return (stars.complete ? 1 : 0) + (stars.elegant ? 1 : 0) + (stars.flavorful ? 1 : 0) + (stars.skillful ? 1 : 0);
+    }
+
+    // Returns true if (movesA, wasteA) is strictly better than (movesB, wasteB). Ingredients take priority.
+    function isBetterRun(movesA, wasteA, movesB, wasteB) {
+        return (movesA < movesB) || (movesA === movesB && wasteA < wasteB);
+    }
+
+    return {
+        MAX_MOVES,
+        ELEGANT_MAX_MOVES,
+        STAR_MATCH_THRESHOLD,
+        TROPHY_WASTE_PERCENT,
+        MIN_INGREDIENT_LENGTH,
+        MAX_INGREDIENT_LENGTH,
+        HARD_MODE_MIN_MATCHES,
+        RULE_SETS,
+        MAX_ADJECTIVES,
+        getPuzzleAdjectives,
+        getPuzzleRules,
+        getPuzzleLimits,
+        getPuzzleTheme,
+        getStateLimits,
+        createState,
+        isMatchStatus,
+        countMatches,
+        countWaste,
+        getMatchedPositionKeys,
+        getDishLines,
+        getLetterStates,
+        buildActiveFromStates,
+        matchOneLetterActive,
+        matchOneLetterShortest,
+        matchIngredient,
+        getRequiredMatches,
+        normalizeIngredient,
+        validateIngredient,
+        applyIngredient,
+        undoLastIngredient,
+        getWastePercent,
+        hadStarIngredient,
+        getStarIngredientItem,
+        getStars,
+        countStars,
+        isBetterRun
+    };
+});
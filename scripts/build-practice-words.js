@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Builds practice-words.json (the word pools for practice mode) from scripts/wordish-puzzles.csv.
+ * Every adjective in the CSV and every noun (paired or noun-only rows) goes into its pool;
+ * adjectives that are themselves in foods.json are left out (they would be a trivial answer).
+ * Usage: node scripts/build-practice-words.js [path/to/wordish-puzzles.csv]
+ * Output: practice-words.json in project root ({ "adjectives": [...], "nouns": [...] })
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const csvPath = process.argv[2] || path.join(__dirname, 'wordish-puzzles.csv');
+const outPath = path.join(ROOT, 'practice-words.json');
+
+let csv;
+try {
+  csv = fs.readFileSync(csvPath, 'utf8');
+} catch (err) {
+  console.error('Could not read CSV:', csvPath, err.message);
+  process.exit(1);
+}
+
+const foods = new Set(JSON.parse(fs.readFileSync(path.join(ROOT, 'foods.json'), 'utf8')));
+const adjectives = new Set();
+const nouns = new Set();
+for (const line of csv.split(/\r?\n/)) {
+  const [noun, adj] = line.split(',').map((p) => (p || '').trim().toUpperCase());
+  if (/^[A-Z]+$/.test(noun || '')) nouns.add(noun);
+  if (/^[A-Z]+$/.test(adj || '') && !foods.has(adj)) adjectives.add(adj);
+}
+
+const words = { adjectives: [...adjectives].sort(), nouns: [...nouns].sort() };
+fs.writeFileSync(outPath, JSON.stringify(words, null, 2) + '\n', 'utf8');
+console.log(`Wrote ${words.adjectives.length} adjectives and ${words.nouns.length} nouns to ${outPath}`);
@@ -5,15 +5,34 @@
  * Puzzle #001 is fixed as APPEALING CANNOLI. Remaining pairs are chosen by
  * greedy minimization of (len(adj)+len(noun)-15)^2 with no repeated words.
  * Puzzle #010 is set to today (Helsinki timezone); #001-#009 are past, #011+ future.
+ *
+ * Append mode (node generate-puzzles.js --append [count]) never touches existing entries:
+ * it adds up to `count` puzzles (default: as many as possible) after the last date, using
+ * only CSV words that appear nowhere in puzzles.json. If the last date is already past, the new
+ * puzzles start tomorrow so nothing is back-dated; validate-puzzles.js accepts that one gap (as a
+ * warning) because it ends after today.
+ *
+ * Each pairing gets a difficulty score (solver min moves and waste, rare letters,
+ * number of viable ingredients) and pairs are laid out on the calendar so difficulty
+ * follows a weekly curve: easiest on Mondays, hardest on weekends.
  */
 
 const fs = require('fs');
 const path = require('path');
+const WordishRules = require('../rules');
+const WordishSolver = require('../solver');
 
 const NUM_PUZZLES = 170;
 const TARGET_LEN = 15;
 const PUZZLE_010_INDEX = 9; // 0-based index of "today's" puzzle
 
+const RARE_LETTERS = ['J', 'Q', 'X', 'Z'];
+const VIABLE_MIN_MATCHES = 5; // an ingredient is "viable" if it can match this many letters of the fresh dish
+const VIABLE_PLENTY = 500;    // at or above this many viable ingredients, scarcity adds nothing
+// Target difficulty percentile per weekday (0 = Sunday ... 6 = Saturday); layoutCalendar uses their order
+const WEEKDAY_CURVE = [0.9, 0.1, 0.25, 0.4, 0.55, 0.7, 0.9];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 function getHelsinkiDate() {
   const now = new Date();
   const helsinki = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Helsinki' }));
@@ -35,6 +54,89 @@ function deviation(adjLen, nounLen) {
   return diff * diff;
 }
 
+function getWeekday(dateStr) {
+  return new Date(dateStr + 'T00:00:00').getDay();
+}
+
+function readFoods() {
+  const root = path.join(__dirname, '..');
+  const foods = JSON.parse(fs.readFileSync(path.join(root, 'foods.json'), 'utf8'));
+  let blocked = [];
+  try {
+    blocked = JSON.parse(fs.readFileSync(path.join(root, 'foods-blocked.json'), 'utf8'));
+  } catch (_) {}
+  return { foods, blocked };
+}
+
+// Difficulty of one adjective + noun pairing. Higher is harder; Infinity if unsolvable.
+function rateDifficulty(pair, foods, blocked) {
+  const puzzle = { adjectives: [pair.adj], noun: pair.noun };
+  const solution = WordishSolver.solvePuzzle(puzzle, foods, { blocked });
+  const dish = pair.adj + pair.noun;
+  const rareLetters = dish.split('').filter((c) => RARE_LETTERS.includes(c)).length;
+
+  const dishCounts = WordishSolver.countLetters(dish);
+  const blockedSet = new Set(blocked);
+  let viable = 0;
+  for (const food of foods) {
+    if (food === pair.noun || blockedSet.has(food)) continue;
+    const counts = WordishSolver.countLetters(food);
+    let matches = 0;
+    for (let c = 0; c < 26; c++) matches += Math.min(counts[c], dishCounts[c]);
+    if (matches >= VIABLE_MIN_MATCHES) viable++;
+  }
+
+  const score = solution.solvable
+    ? (solution.moves - 2) * 30 +
+      solution.wastePercent * 0.5 +
+      rareLetters * 10 +
+      20 * (1 - Math.min(viable, VIABLE_PLENTY) / VIABLE_PLENTY)
+    : Infinity;
+  return {
+    score: Math.round(score * 10) / 10,
+    minMoves: solution.moves,
+    minWaste: solution.wastePercent,
+    rareLetters,
+    viable,
+    recipe: solution.recipe
+  };
+}
+
+// Assign rated pairs to dates by rank: dates ordered by their weekday's target percentile (then by date)
+// take the pairs in order of difficulty, so every Monday gets an easier pair than every Tuesday and so on
+// across the whole calendar. Expects as many pairs as dates.
+function layoutCalendar(ratedPairs, dates) {
+  const ranked = ratedPairs.slice().sort((a, b) => a.difficulty.score - b.difficulty.score);
+  const slots = dates
+    .map((date, i) => ({ date, i, target: WEEKDAY_CURVE[getWeekday(date)] }))
+    .sort((a, b) => a.target - b.target || a.i - b.i);
+  const scheduled = [];
+  slots.forEach((slot, rank) => {
+    scheduled[slot.i] = Object.assign({ date: slot.date }, ranked[rank]);
+  });
+  return scheduled;
+}
+
+function printDifficultyReport(scheduled) {
+  const byWeekday = WEEKDAY_NAMES.map(() => []);
+  const moveCounts = {};
+  for (const p of scheduled) {
+    byWeekday[getWeekday(p.date)].push(p.difficulty.score);
+    moveCounts[p.difficulty.minMoves] = (moveCounts[p.difficulty.minMoves] || 0) + 1;
+  }
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+  console.log('Difficulty by weekday (mean score):');
+  [1, 2, 3, 4, 5, 6, 0].filter((d) => byWeekday[d].length).forEach((d) => {
+    console.log(`  ${WEEKDAY_NAMES[d]}: ${mean(byWeekday[d]).toFixed(1)} (${byWeekday[d].length} puzzles)`);
+  });
+  console.log(`Min moves: ${Object.keys(moveCounts).sort().map((m) => `${m}=${moveCounts[m]}`).join(' ')}`);
+  const ranked = scheduled.slice().sort((a, b) => b.difficulty.score - a.difficulty.score);
+  const describe = (p) => `${p.adj} ${p.noun} (${p.difficulty.score}: ${p.difficulty.minMoves} moves, ` +
+    `${p.difficulty.minWaste}% waste, ${p.difficulty.rareLetters} rare, ${p.difficulty.viable} viable)`;
+  console.log(`Hardest: ${ranked.slice(0, 3).map(describe).join('; ')}`);
+  console.log(`Easiest: ${ranked.slice(-3).reverse().map(describe).join('; ')}`);
+}
+
 // Parse CSV: rows with both noun and adjective (first 173), rows with noun only (rest)
 function parseCsv(csvPath) {
   const text = fs.readFileSync(csvPath, 'utf8');
@@ -57,28 +159,10 @@ function parseCsv(csvPath) {
   return { adjectives, nounsFromPairs, nounsOnly };
 }
 
-function main() {
-  const csvPath = path.join(__dirname, 'wordish-puzzles.csv');
-  const { adjectives, nounsFromPairs } = parseCsv(csvPath);
-
-  // Use first 173 rows only: 173 adjectives, 173 nouns. We need 170 of each.
-  // Fixed: #001 = APPEALING CANNOLI. So we need 169 more pairs from 172 adj + 172 nouns.
-  const FIXED_ADJ = 'APPEALING';
-  const FIXED_NOUN = 'CANNOLI';
-
-  const adjPool = adjectives.filter((a) => a !== FIXED_ADJ);
-  const nounPool = nounsFromPairs.filter((n) => n !== FIXED_NOUN);
-
-  if (adjPool.length < 169 || nounPool.length < 169) {
-    throw new Error('CSV does not have enough adjectives/nouns after fixing APPEALING CANNOLI');
-  }
-
-  // Greedy: repeatedly pick (adj, noun) with smallest deviation from 15 among unused
-  const usedAdj = new Set([FIXED_ADJ]);
-  const usedNoun = new Set([FIXED_NOUN]);
-  const pairs = [{ adj: FIXED_ADJ, noun: FIXED_NOUN }];
-
-  for (let k = 0; k < 169; k++) {
+// Greedy: repeatedly pick (adj, noun) with smallest deviation from TARGET_LEN among unused
+function pairByLength(adjPool, nounPool, count, usedAdj, usedNoun) {
+  const pairs = [];
+  for (let k = 0; k < count; k++) {
     let best = null;
     let bestDev = Infinity;
     for (const adj of adjPool) {
@@ -92,16 +176,59 @@ function main() {
         }
       }
     }
-    if (!best) throw new Error('Could not form 169 pairs');
+    if (!best) throw new Error(`Could not form ${count} pairs`);
     usedAdj.add(best.adj);
     usedNoun.add(best.noun);
     pairs.push(best);
   }
+  return pairs;
+}
 
-  // Optional override: node generate-puzzles.js 2026-02-06 or TODAY=2026-02-06
-  const today = (process.argv[2] && process.argv[2].trim()) || (process.env.TODAY && process.env.TODAY.trim()) || getHelsinkiDate();
-  const puzzles = pairs.map((p, i) => ({
-    date: offsetDate(today, i - PUZZLE_010_INDEX),
+// Attach a difficulty rating to every pair; throws if any pair can't be solved.
+function ratePairs(pairs) {
+  console.log(`Rating difficulty of ${pairs.length} pairings (solver)...`);
+  const { foods, blocked } = readFoods();
+  for (const p of pairs) p.difficulty = rateDifficulty(p, foods, blocked);
+  const unsolvable = pairs.filter((p) => p.difficulty.score === Infinity);
+  if (unsolvable.length) {
+    throw new Error(`Unsolvable within ${WordishRules.MAX_MOVES} moves: ${unsolvable.map((p) => `${p.adj} ${p.noun}`).join(', ')}`);
+  }
+}
+
+function printLengthStats(puzzles) {
+  const lengths = puzzles.map((p) => p.adjectives[0].length + p.noun.length);
+  const minLen = Math.min(...lengths);
+  const maxLen = Math.max(...lengths);
+  const meanLen = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  console.log(`Combined length: min=${minLen} max=${maxLen} mean=${meanLen.toFixed(1)}`);
+}
+
+// Rewrite the whole calendar. Re-dates every puzzle relative to today = #010.
+function regenerate(today) {
+  const csvPath = path.join(__dirname, 'wordish-puzzles.csv');
+  const { adjectives, nounsFromPairs } = parseCsv(csvPath);
+
+  // Use first 173 rows only: 173 adjectives, 173 nouns. We need 170 of each.
+  // Fixed: #001 = APPEALING CANNOLI. So we need 169 more pairs from 172 adj + 172 nouns.
+  const FIXED_ADJ = 'APPEALING';
+  const FIXED_NOUN = 'CANNOLI';
+
+  const adjPool = adjectives.filter((a) => a !== FIXED_ADJ);
+  const nounPool = nounsFromPairs.filter((n) => n !== FIXED_NOUN);
+
+  if (adjPool.length < 169 || nounPool.length < 169) {
+    throw new Error('CSV does not have enough adjectives/nouns after fixing APPEALING CANNOLI');
+  }
+
+  const pairs = [{ adj: FIXED_ADJ, noun: FIXED_NOUN }]
+    .concat(pairByLength(adjPool, nounPool, 169, new Set([FIXED_ADJ]), new Set([FIXED_NOUN])));
+  const dates = pairs.map((_, i) => offsetDate(today, i - PUZZLE_010_INDEX));
+  ratePairs(pairs);
+
+  // #001 keeps its fixed pair and date; the rest follow the weekly difficulty curve
+  const scheduled = [Object.assign({ date: dates[0] }, pairs[0])].concat(layoutCalendar(pairs.slice(1), dates.slice(1)));
+  const puzzles = scheduled.map((p) => ({
+    date: p.date,
     adjectives: [p.adj],
     noun: p.noun
   }));
@@ -110,18 +237,15 @@ function main() {
   fs.writeFileSync(outPath, JSON.stringify(puzzles, null, 2), 'utf8');
 
   // Validation and stats
-  const lengths = puzzles.map((p) => p.adjectives[0].length + p.noun.length);
-  const minLen = Math.min(...lengths);
-  const maxLen = Math.max(...lengths);
-  const meanLen = lengths.reduce((a, b) => a + b, 0) / lengths.length;
   const usedAdjs = new Set(puzzles.map((p) => p.adjectives[0]));
   const usedNouns = new Set(puzzles.map((p) => p.noun));
 
   console.log(`Wrote ${puzzles.length} puzzles to ${outPath}`);
   console.log(`Puzzle #001: ${puzzles[0].adjectives[0]} ${puzzles[0].noun}`);
   console.log(`Puzzle #010 (today) date: ${puzzles[PUZZLE_010_INDEX].date}`);
-  console.log(`Combined length: min=${minLen} max=${maxLen} mean=${meanLen.toFixed(1)}`);
+  printLengthStats(puzzles);
   console.log(`Unique adjectives: ${usedAdjs.size}, unique nouns: ${usedNouns.size}`);
+  printDifficultyReport(scheduled);
 
   if (puzzles[0].adjectives[0] !== FIXED_ADJ || puzzles[0].noun !== FIXED_NOUN) {
     throw new Error('Puzzle #001 must be APPEALING CANNOLI');
@@ -134,4 +258,82 @@ function main() {
   }
 }
 
+// Append-only: keep every existing entry (published or already scheduled) exactly as it is and
+// add up to `count` new puzzles on the days after the last one (or after today, if that is later),
+// from CSV words never used before.
+function append(today, count) {
+  if (count !== null && !(count >= 1)) {
+    throw new Error(`--append count must be at least 1 (got ${count})`);
+  }
+  const outPath = path.join(__dirname, '..', 'puzzles.json');
+  const existing = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+  if (!Array.isArray(existing) || !existing.length) {
+    throw new Error('puzzles.json is empty; run without --append to generate a calendar');
+  }
+  const locked = JSON.stringify(existing);
+  const published = existing.filter((p) => p.date <= today).length;
+
+  const usedWords = new Set();
+  for (const p of existing) {
+    for (const word of [...WordishRules.getPuzzleAdjectives(p), p.noun]) usedWords.add(String(word).toUpperCase());
+  }
+
+  const { adjectives, nounsFromPairs, nounsOnly } = parseCsv(path.join(__dirname, 'wordish-puzzles.csv'));
+  const adjPool = [...new Set(adjectives)].filter((a) => !usedWords.has(a));
+  const nounPool = [...new Set(nounsFromPairs.concat(nounsOnly))].filter((n) => !usedWords.has(n) && !adjPool.includes(n));
+  const available = Math.min(adjPool.length, nounPool.length);
+  const toAdd = count === null ? available : count;
+  if (toAdd > available) {
+    throw new Error(`Only ${available} new puzzles can be made without reusing a word (asked for ${toAdd})`);
+  }
+  if (!toAdd) {
+    console.log(`No unused adjective/noun pairs left in the CSV; puzzles.json unchanged (${existing.length} puzzles).`);
+    return;
+  }
+
+  const pairs = pairByLength(adjPool, nounPool, toAdd, new Set(), new Set());
+  ratePairs(pairs);
+  const lastDate = existing.map((p) => p.date).sort().pop();
+  // Never schedule on or before today: a gap after a lapsed calendar is better than back-dated puzzles
+  const firstDate = lastDate < today ? offsetDate(today, 1) : offsetDate(lastDate, 1);
+  const dates = pairs.map((_, i) => offsetDate(firstDate, i));
+  const scheduled = layoutCalendar(pairs, dates);
+  const added = scheduled.map((p) => ({
+    date: p.date,
+    adjectives: [p.adj],
+    noun: p.noun
+  }));
+
+  const puzzles = existing.concat(added);
+  if (JSON.stringify(puzzles.slice(0, existing.length)) !== locked) {
+    throw new Error('Existing puzzles were modified; refusing to write');
+  }
+  const words = puzzles.flatMap((p) => [...WordishRules.getPuzzleAdjectives(p), p.noun].map((w) => String(w).toUpperCase()));
+  if (new Set(words).size !== words.length) {
+    throw new Error('A word would be used more than once; refusing to write');
+  }
+  fs.writeFileSync(outPath, JSON.stringify(puzzles, null, 2), 'utf8');
+
+  console.log(`Kept ${existing.length} existing puzzles (${published} published as of ${today}, ${existing.length - published} scheduled)`);
+  console.log(`Appended ${added.length} puzzles: ${added[0].date} to ${added[added.length - 1].date}`);
+  added.forEach((p) => console.log(`  ${p.date} ${p.adjectives[0]} ${p.noun}`));
+  printLengthStats(added);
+  printDifficultyReport(scheduled);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const appendIndex = args.indexOf('--append');
+  const positional = args.filter((a, i) => !a.startsWith('--') && !(appendIndex >= 0 && i === appendIndex + 1 && /^-?\d+$/.test(a)));
+  // Optional override: node generate-puzzles.js 2026-02-06 or TODAY=2026-02-06
+  const today = (positional[0] && positional[0].trim()) || (process.env.TODAY && process.env.TODAY.trim()) || getHelsinkiDate();
+
+  if (appendIndex >= 0) {
+    const countArg = args[appendIndex + 1];
+    append(today, /^-?\d+$/.test(countArg || '') ? parseInt(countArg, 10) : null);
+  } else {
+    regenerate(today);
+  }
+}
+
 main();
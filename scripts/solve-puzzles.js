@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Solves every puzzle in puzzles.json with the current foods.json (minus foods-blocked.json);
+ * themed puzzles with an ingredientPool use pools/<name>.json instead.
+ * Reports the best possible run per puzzle — fewest ingredients, then least waste — with a
+ * sample recipe, and flags puzzles that cannot be made within their move limit.
+ * Usage: node scripts/solve-puzzles.js [date|number ...] [--json]
+ *   node scripts/solve-puzzles.js             all puzzles
+ *   node scripts/solve-puzzles.js 2026-01-28  one puzzle by date
+ *   node scripts/solve-puzzles.js 1 42        puzzles #001 and #042
+ * Exits with code 1 if any selected puzzle is unsolvable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WordishRules = require('../rules');
+const WordishSolver = require('../solver');
+
+const ROOT = path.join(__dirname, '..');
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined) return fallback;
+    console.error(`Could not read ${file}:`, err.message);
+    process.exit(1);
+  }
+}
+
+function puzzleLabel(puzzle, index) {
+  const num = String(index + 1).padStart(3, '0');
+  const name = [...WordishRules.getPuzzleAdjectives(puzzle), puzzle.noun].filter(Boolean).join(' ');
+  return `#${num} ${puzzle.date} ${name}`;
+}
+
+function selectPuzzles(puzzles, filters) {
+  const indexed = puzzles.map((puzzle, index) => ({ puzzle, index }));
+  if (!filters.length) return indexed;
+  return indexed.filter(({ puzzle, index }) =>
+    filters.some((f) => f === puzzle.date || (/^\d+$/.test(f) && Number(f) === index + 1)));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const filters = args.filter((a) => !a.startsWith('--'));
+
+  const puzzles = readJson('puzzles.json');
+  const foods = readJson('foods.json');
+  const blocked = readJson('foods-blocked.json', []);
+
+  const selected = selectPuzzles(puzzles, filters);
+  if (!selected.length) {
+    console.error('No puzzles match', filters.join(' '));
+    process.exit(1);
+  }
+
+  const reports = [];
+  const moveCounts = {};
+  for (const { puzzle, index } of selected) {
+    const pool = WordishRules.getPuzzleTheme(puzzle).pool;
+    const puzzleFoods = pool ? readJson(path.join('pools', `${pool}.json`)) : foods;
+    const solution = WordishSolver.solvePuzzle(puzzle, puzzleFoods, { blocked });
+    reports.push({
+      number: index + 1,
+      date: puzzle.date,
+      dish: [...WordishRules.getPuzzleAdjectives(puzzle), puzzle.noun].join(' '),
+      solvable: solution.solvable,
+      minMoves: solution.moves,
+      minWastePercent: solution.wastePercent,
+      recipe: solution.recipe
+    });
+    if (solution.solvable) {
+      moveCounts[solution.moves] = (moveCounts[solution.moves] || 0) + 1;
+      if (!asJson) {
+        console.log(`${puzzleLabel(puzzle, index)}: ${solution.moves} moves, ${solution.wastePercent}% waste — ${solution.recipe.join(' > ')}`);
+      }
+    } else if (!asJson) {
+      console.log(`${puzzleLabel(puzzle, index)}: UNSOLVABLE within ${WordishRules.getPuzzleLimits(puzzle).maxMoves} moves`);
+    }
+  }
+
+  const unsolvable = reports.filter((r) => !r.solvable);
+  if (asJson) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    const distribution = Object.keys(moveCounts).sort().map((m) => `${m} moves: ${moveCounts[m]}`).join(', ');
+    console.log('');
+    console.log(`Solved ${reports.length - unsolvable.length}/${reports.length} puzzles (${distribution || 'none'})`);
+    if (unsolvable.length) {
+      console.log(`Unsolvable: ${unsolvable.map((r) => `#${String(r.number).padStart(3, '0')} ${r.dish}`).join(', ')}`);
+    }
+  }
+  if (unsolvable.length) process.exit(1);
+}
+
+main();
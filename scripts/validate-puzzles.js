@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Validates puzzles.json before deploy. Checks every entry for:
+ * - a well-formed, real, unique YYYY-MM-DD date, in order with no gaps. The one exception is a calendar
+ *   that lapsed and was resumed: a gap from a past date to the first date after today (what
+ *   generate-puzzles.js --append leaves, since it never back-dates) is a warning.
+ * - adjectives (1 to MAX_ADJECTIVES of them) and noun made of uppercase A–Z only
+ * - no word used twice anywhere in the file
+ * - an optional rules field naming a known rule set (WordishRules.RULE_SETS)
+ * - an optional theme (non-empty string) and ingredientPool naming a pools/<name>.json list;
+ *   pool foods missing from foods.json are reported as warnings
+ * - no adjective that is itself in foods.json (it would be a trivial answer).
+ *   Nouns in foods.json are reported as warnings only: the game already rejects the dish noun.
+ * - optional maxMoves / elegantMaxMoves / starMatchThreshold overrides are positive integers
+ *   (elegantMaxMoves no more than maxMoves)
+ * - solvability within the puzzle's move limit using foods.json (or its ingredientPool) minus
+ *   foods-blocked.json (skip with --no-solve)
+ * Usage: node scripts/validate-puzzles.js [path/to/puzzles.json] [--no-solve] [--verbose]
+ *        (today is Helsinki time; override with TODAY=2026-02-06)
+ * Exits with code 1 and prints one line per problem if anything fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WordishRules = require('../rules');
+const WordishSolver = require('../solver');
+
+const ROOT = path.join(__dirname, '..');
+const WORD_RE = /^[A-Z]+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isRealDate(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === dateStr;
+}
+
+function getHelsinkiDate() {
+  const helsinki = new Date(new Date().toLocaleString('en-US', { timeZone: 'Europe/Helsinki' }));
+  const m = String(helsinki.getMonth() + 1).padStart(2, '0');
+  const d = String(helsinki.getDate()).padStart(2, '0');
+  return `${helsinki.getFullYear()}-${m}-${d}`;
+}
+
+function nextDate(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns { errors, warnings }: arrays of { index, date, message } (index is 0-based, -1 for the file).
+ * options: { foods: string[], blocked: string[], pools: { [name]: string[] }, solve: boolean,
+ *            today: 'YYYY-MM-DD' (allows a resumed calendar's gap; without it every gap is an error) }
+ */
+function validatePuzzles(puzzles, options) {
+  const opts = options || {};
+  const foods = new Set((opts.foods || []).map((f) => String(f).toUpperCase()));
+  const errors = [];
+  const warnings = [];
+  const report = (list, index, date, message) => list.push({ index, date: date || null, message });
+
+  if (!Array.isArray(puzzles)) {
+    report(errors, -1, null, 'puzzles.json must be an array');
+    return { errors, warnings };
+  }
+
+  const seenDates = new Map();
+  const seenWords = new Map();
+  const pools = opts.pools || {};
+  const checkedPools = new Set();
+  let prevDate = null;
+
+  puzzles.forEach((puzzle, index) => {
+    if (!puzzle || typeof puzzle !== 'object' || Array.isArray(puzzle)) {
+      report(errors, index, null, 'entry must be an object');
+      return;
+    }
+    const validDate = typeof puzzle.date === 'string' && DATE_RE.test(puzzle.date) && isRealDate(puzzle.date);
+    const date = validDate ? puzzle.date : null;
+
+    if (!validDate) {
+      report(errors, index, null, `date ${JSON.stringify(puzzle.date)} is not a valid YYYY-MM-DD date`);
+    } else {
+      if (seenDates.has(date)) {
+        report(errors, index, date, `date repeats puzzle #${String(seenDates.get(date) + 1).padStart(3, '0')}`);
+      } else {
+        seenDates.set(date, index);
+      }
+      if (prevDate && date <= prevDate) {
+        report(errors, index, date, `date is not after the previous puzzle (${prevDate})`);
+      } else if (prevDate && date !== nextDate(prevDate)) {
+        const resumed = opts.today && prevDate < opts.today && date > opts.today;
+        report(resumed ? warnings : errors, index, date, `gap in dates: previous puzzle is ${prevDate}`);
+      }
+      prevDate = date;
+    }
+
+    if (!Array.isArray(puzzle.adjectives) || !puzzle.adjectives.length) {
+      report(errors, index, date, 'adjectives must be a non-empty array');
+    } else if (puzzle.adjectives.length > WordishRules.MAX_ADJECTIVES) {
+      report(errors, index, date, `at most ${WordishRules.MAX_ADJECTIVES} adjectives are shown (found ${puzzle.adjectives.length})`);
+    }
+    const adjectives = Array.isArray(puzzle.adjectives) ? puzzle.adjectives : [];
+    const words = adjectives.map((word) => ({ word, role: 'adjective' })).concat([{ word: puzzle.noun, role: 'noun' }]);
+
+    for (const { word, role } of words) {
+      if (typeof word !== 'string' || !WORD_RE.test(word)) {
+        report(errors, index, date, `${role} ${JSON.stringify(word)} must be uppercase A–Z only`);
+        continue;
+      }
+      if (seenWords.has(word)) {
+        report(errors, index, date, `${role} ${word} already used in puzzle #${String(seenWords.get(word) + 1).padStart(3, '0')}`);
+      } else {
+        seenWords.set(word, index);
+      }
+      if (foods.has(word)) {
+        if (role === 'adjective') {
+          report(errors, index, date, `adjective ${word} is itself an ingredient in foods.json`);
+        } else {
+          report(warnings, index, date, `noun ${word} is in foods.json (rejected in-game as the dish)`);
+        }
+      }
+    }
+
+    if (puzzle.rules !== undefined && !WordishRules.RULE_SETS.includes(puzzle.rules)) {
+      report(errors, index, date, `rules ${JSON.stringify(puzzle.rules)} must be one of ${WordishRules.RULE_SETS.join(', ')}`);
+    }
+
+    for (const field of ['maxMoves', 'elegantMaxMoves', 'starMatchThreshold']) {
+      if (puzzle[field] !== undefined && !(Number.isInteger(puzzle[field]) && puzzle[field] > 0)) {
+        report(errors, index, date, `${field} ${JSON.stringify(puzzle[field])} must be a positive integer`);
+      }
+    }
+    if (puzzle.theme !== undefined && !(typeof puzzle.theme === 'string' && puzzle.theme.trim())) {
+      report(errors, index, date, `theme ${JSON.stringify(puzzle.theme)} must be a non-empty string`);
+    }
+    const pool = WordishRules.getPuzzleTheme(puzzle).pool;
+    const poolFoods = pool && pools[pool];
+    if (puzzle.ingredientPool !== undefined && !pool) {
+      report(errors, index, date, `ingredientPool ${JSON.stringify(puzzle.ingredientPool)} must be lowercase letters, digits and dashes`);
+    } else if (pool && !Array.isArray(poolFoods)) {
+      report(errors, index, date, `ingredientPool ${pool} has no pools/${pool}.json list`);
+    } else if (pool && !checkedPools.has(pool)) {
+      checkedPools.add(pool);
+      const missing = poolFoods.map((f) => String(f).toUpperCase()).filter((f) => !foods.has(f));
+      if (missing.length) {
+        report(warnings, index, date, `ingredientPool ${pool} has foods not in foods.json: ${missing.join(', ')}`);
+      }
+    }
+
+    const limits = WordishRules.getPuzzleLimits(puzzle);
+    if (Number.isInteger(puzzle.elegantMaxMoves) && puzzle.elegantMaxMoves > limits.maxMoves) {
+      report(errors, index, date, `elegantMaxMoves ${puzzle.elegantMaxMoves} is more than maxMoves ${limits.maxMoves}`);
+    }
+
+    const wellFormed = errors.every((e) => e.index !== index);
+    if (opts.solve && wellFormed) {
+      const solution = WordishSolver.solvePuzzle(puzzle, poolFoods || opts.foods || [], { blocked: opts.blocked || [] });
+      if (!solution.solvable) {
+        const source = pool ? `pools/${pool}.json` : 'foods.json';
+        report(errors, index, date, `cannot be solved within ${limits.maxMoves} moves with the current ${source}`);
+      }
+    }
+  });
+
+  return { errors, warnings };
+}
+
+function formatProblem(puzzles, problem) {
+  if (problem.index < 0) return problem.message;
+  const puzzle = puzzles[problem.index] || {};
+  const num = String(problem.index + 1).padStart(3, '0');
+  const name = Array.isArray(puzzle.adjectives) ? [...puzzle.adjectives, puzzle.noun].join(' ') : String(puzzle.noun || '');
+  return `#${num} ${problem.date || '????-??-??'} ${name}: ${problem.message}`;
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined) return fallback;
+    console.error(`Could not read ${filePath}:`, err.message);
+    process.exit(1);
+  }
+}
+
+// Every pools/<name>.json referenced by a puzzle; missing or unreadable files are left out (reported per puzzle)
+function readPools(puzzles) {
+  const pools = {};
+  for (const puzzle of Array.isArray(puzzles) ? puzzles : []) {
+    const name = WordishRules.getPuzzleTheme(puzzle).pool;
+    if (!name || name in pools) continue;
+    const list = readJson(path.join(ROOT, 'pools', `${name}.json`), null);
+    if (Array.isArray(list)) pools[name] = list;
+  }
+  return pools;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const solve = !args.includes('--no-solve');
+  const puzzlesPath = args.find((a) => !a.startsWith('--')) || path.join(ROOT, 'puzzles.json');
+
+  const puzzles = readJson(puzzlesPath);
+  const foods = readJson(path.join(ROOT, 'foods.json'));
+  const blocked = readJson(path.join(ROOT, 'foods-blocked.json'), []);
+  const pools = readPools(puzzles);
+
+  const today = (process.env.TODAY && process.env.TODAY.trim()) || getHelsinkiDate();
+  const { errors, warnings } = validatePuzzles(puzzles, { foods, blocked, pools, solve, today });
+  if (warnings.length && args.includes('--verbose')) {
+    console.log(`${warnings.length} warning(s):`);
+    warnings.forEach((w) => console.log(`  ${formatProblem(puzzles, w)}`));
+  } else if (warnings.length) {
+    console.log(`${warnings.length} warning(s) (use --verbose to list)`);
+  }
+  if (errors.length) {
+    console.error(`${errors.length} error(s) in ${puzzlesPath}:`);
+    errors.forEach((e) => console.error(`  ${formatProblem(puzzles, e)}`));
+    process.exit(1);
+  }
+  const range = puzzles.length ? ` (${puzzles[0].date} to ${puzzles[puzzles.length - 1].date})` : '';
+  console.log(`OK: ${puzzles.length} puzzles valid${solve ? ' and solvable' : ''}${range}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validatePuzzles };
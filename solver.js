@@ -0,0 +1,212 @@
+/**
+ * Wordish solver — finds the best possible recipe for a puzzle with a given food list.
+ * "Best" uses the same ordering as the attempts record: fewest ingredients, then least waste.
+ *
+ * Greedy matching (WordishRules.matchOneLetterActive) always consumes the first active
+ * occurrence of a letter, so which positions are matched depends only on how many of each
+ * letter have been used. The search therefore runs over multisets of remaining letters,
+ * and the recipe it returns is replayed through WordishRules.applyIngredient to confirm it.
+ *
+ * Browser: load after rules.js (exposes window.WordishSolver).
+ * Node:    const WordishSolver = require('./solver');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const solver = factory(isNode ? require('./rules') : root.WordishRules);
+    if (isNode) {
+        module.exports = solver;
+    } else {
+        root.WordishSolver = solver;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishRules) {
+    'use strict';
+
+    const A = 'A'.charCodeAt(0);
+    // Foods kept per final-step lookup: enough to find one not already in the recipe
+    const COVER_CANDIDATES = 6;
+
+    function countLetters(word) {
+        const counts = new Uint8Array(26);
+        for (let i = 0; i < word.length; i++) {
+            const c = word.charCodeAt(i) - A;
+            if (c >= 0 && c < 26) counts[c]++;
+        }
+        return counts;
+    }
+
+    // Multiset key: letters in alphabetical order (e.g. "ACEILNP")
+    function countsKey(counts) {
+        let key = '';
+        for (let c = 0; c < 26; c++) {
+            if (counts[c]) key += String.fromCharCode(A + c).repeat(counts[c]);
+        }
+        return key;
+    }
+
+    function countTotal(counts) {
+        let total = 0;
+        for (let c = 0; c < 26; c++) total += counts[c];
+        return total;
+    }
+
+    // Every sub-multiset key of counts (including the full set, excluding the empty set)
+    function forEachSubKey(counts, callback) {
+        const letters = [];
+        for (let c = 0; c < 26; c++) if (counts[c]) letters.push(c);
+        const current = new Uint8Array(26);
+        (function walk(i) {
+            if (i === letters.length) {
+                const key = countsKey(current);
+                if (key) callback(key);
+                return;
+            }
+            const c = letters[i];
+            for (let n = 0; n <= counts[c]; n++) {
+                current[c] = n;
+                walk(i + 1);
+            }
+            current[c] = 0;
+        })(0);
+    }
+
+    function pathIncludes(node, food) {
+        for (let n = node; n && n.food; n = n.prev) {
+            if (n.food === food) return true;
+        }
+        return false;
+    }
+
+    function pathToRecipe(node) {
+        const recipe = [];
+        for (let n = node; n && n.food; n = n.prev) recipe.unshift(n.food);
+        return recipe;
+    }
+
+    // Group foods by the letters they can actually match in this dish; shortest food first.
+    function buildFoodGroups(dishCounts, foods, excluded) {
+        const groups = new Map();
+        for (const raw of foods) {
+            const food = WordishRules.normalizeIngredient(raw);
+            if (!/^[A-Z]+$/.test(food) || food.length < WordishRules.MIN_INGREDIENT_LENGTH ||
+                food.length > WordishRules.MAX_INGREDIENT_LENGTH || excluded.has(food)) continue;
+            const counts = countLetters(food);
+            const useful = new Uint8Array(26);
+            for (let c = 0; c < 26; c++) useful[c] = Math.min(counts[c], dishCounts[c]);
+            const key = countsKey(useful);
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, { counts: useful, foods: [] });
+            groups.get(key).foods.push(food);
+        }
+        for (const group of groups.values()) {
+            group.foods = [...new Set(group.foods)].sort((a, b) => a.length - b.length || (a < b ? -1 : 1));
+        }
+        return [...groups.values()];
+    }
+
+    // Remaining-letters key -> shortest foods that clear all of them in one move
+    function buildCoverMap(groups) {
+        const cover = new Map();
+        for (const group of groups) {
+            forEachSubKey(group.counts, (key) => {
+                const list = cover.get(key) || [];
+                for (const food of group.foods.slice(0, COVER_CANDIDATES)) list.push(food);
+                list.sort((a, b) => a.length - b.length || (a < b ? -1 : 1));
+                cover.set(key, list.slice(0, COVER_CANDIDATES));
+            });
+        }
+        return cover;
+    }
+
+    /**
+     * Solve one puzzle. foods = array of allowed ingredient names.
+     * options: { maxMoves, blocked: Set|array }
+     * Returns { solvable, moves, wasteLetters, wastePercent, recipe, result } where result is
+     * the replayed WordishRules state; moves/recipe are null when the dish can't be made in maxMoves.
+     * The no-repeat rule is applied along each candidate recipe, so a recipe that needs the
+     * same food twice is never returned.
+     */
+    function solvePuzzle(puzzle, foods, options) {
+        return solveState(WordishRules.createState(puzzle), foods, options);
+    }
+
+    /**
+     * Finish a game already in progress: same result shape as solvePuzzle, but recipe/moves/wasteLetters
+     * cover only the ingredients still to add, and ingredients already in state.history are never reused.
+     * options.maxMoves is the whole-game limit (default: the state's own limit), so moves already
+     * played count against it.
+     * Hard-mode states only take steps that match WordishRules.getRequiredMatches letters.
+     */
+    function solveState(initial, foods, options) {
+        const opts = options || {};
+        const maxMoves = (opts.maxMoves || WordishRules.getStateLimits(initial).maxMoves) - (initial.moves || 0);
+        const minMatches = initial.hardMode ? WordishRules.HARD_MODE_MIN_MATCHES : 1;
+        const dishCounts = countLetters((initial.remainingAdjectives || []).join('') + (initial.remainingNoun || ''));
+        const dishLength = countTotal(dishCounts);
+        const excluded = new Set(Array.from(opts.blocked || []).map(WordishRules.normalizeIngredient));
+        if (initial.noun) excluded.add(WordishRules.normalizeIngredient(initial.noun));
+        for (const item of (initial.history || [])) excluded.add(WordishRules.normalizeIngredient(item.ingredient));
+
+        const groups = buildFoodGroups(dishCounts, foods, excluded);
+        const cover = buildCoverMap(groups);
+        const unsolved = { solvable: false, moves: null, wasteLetters: null, wastePercent: null, recipe: null, result: null };
+        if (!dishLength || initial.isWon || initial.isLost) return unsolved;
+
+        let layer = new Map([[countsKey(dishCounts), { counts: dishCounts, remaining: dishLength, waste: 0, food: null, prev: null }]]);
+        for (let move = 1; move <= maxMoves; move++) {
+            // Can any state in this layer be finished with one more ingredient?
+            let best = null;
+            for (const [key, node] of layer) {
+                const food = (cover.get(key) || []).find(f => !pathIncludes(node, f));
+                if (!food) continue;
+                const waste = node.waste + food.length - node.remaining;
+                if (!best || waste < best.waste) best = { node, food, waste };
+            }
+            if (best) {
+                const recipe = pathToRecipe(best.node).concat([best.food]);
+                let state = initial;
+                for (const food of recipe) state = WordishRules.applyIngredient(state, food).state;
+                if (!state.isWon) throw new Error(`Solver recipe ${recipe.join(' > ')} does not clear ${countsKey(dishCounts)}`);
+                return {
+                    solvable: true,
+                    moves: recipe.length,
+                    wasteLetters: best.waste,
+                    wastePercent: WordishRules.getWastePercent(state.history),
+                    recipe,
+                    result: state
+                };
+            }
+            if (move === maxMoves) break;
+
+            const next = new Map();
+            for (const node of layer.values()) {
+                for (const group of groups) {
+                    const counts = new Uint8Array(26);
+                    let matched = 0;
+                    for (let c = 0; c < 26; c++) {
+                        const used = Math.min(node.counts[c], group.counts[c]);
+                        counts[c] = node.counts[c] - used;
+                        matched += used;
+                    }
+                    if (!matched || matched < Math.min(minMatches, node.remaining)) continue;
+                    const food = group.foods.find(f => !pathIncludes(node, f));
+                    if (!food) continue;
+                    const key = countsKey(counts);
+                    const waste = node.waste + food.length - matched;
+                    const existing = next.get(key);
+                    if (!existing || waste < existing.waste) {
+                        next.set(key, { counts, remaining: node.remaining - matched, waste, food, prev: node });
+                    }
+                }
+            }
+            layer = next;
+        }
+        return unsolved;
+    }
+
+    return {
+        countLetters,
+        countsKey,
+        solvePuzzle,
+        solveState
+    };
+});
@@ -0,0 +1,268 @@
+/**
+ * Wordish storage — where game.js keeps progress. It reads and writes through a backend with the
+ * synchronous part of the localStorage API it uses: { getItem, setItem, removeItem, keys }.
+ *   - createLocalBackend(localStorage): this device only (the default)
+ *   - createRestBackend({ url, local }): works from a local backend as usual, and sync() combines the
+ *     device's progress with a copy on a server (WordishProfile.mergeSnapshots: per date, the better
+ *     best run by isBetterRun wins; a game in progress on this device keeps its save). Settings are
+ *     not synced.
+ *
+ * REST protocol: GET <url> answers a profile file (WordishProfile.createProfile), or 404 before the first
+ * sync; PUT <url> stores one. The GET's ETag goes back on the PUT as If-Match (If-None-Match: * when there
+ * was no copy yet); a 412 means another device synced in between, and the sync starts over from its copy.
+ *
+ * Browser: load after profile.js (exposes window.WordishStorage).
+ * Node:    const WordishStorage = require('./storage');
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const storage = factory(isNode ? require('./profile') : root.WordishProfile);
+    if (isNode) {
+        module.exports = storage;
+    } else {
+        root.WordishStorage = storage;
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordishProfile) {
+    'use strict';
+
+    const KEY_PREFIX = 'dish_of_the_day_';
+    const KEYS = {
+        log: 'dish_of_the_day_log',
+        // Replaced by the game log (migrations.js moves them into it); still read from older profiles
+        stats: 'dish_of_the_day_stats',
+        attempts: 'dish_of_the_day_attempts',
+        practiceStats: 'dish_of_the_day_practice_stats',
+        darkMode: 'dish_of_the_day_dark_mode',
+        hardMode: 'dish_of_the_day_hard_mode',
+        preview: 'dish_of_the_day_preview',
+        speedRun: 'dish_of_the_day_speed_run',
+        dailyReminder: 'dish_of_the_day_daily_reminder',
+        syncUrl: 'dish_of_the_day_sync_url',
+        helpShown: 'dish_of_the_day_help_shown',
+        debugDate: 'dish_of_the_day_debug_date',
+        schema: 'dish_of_the_day_schema', // migrations.js
+        quarantine: 'dish_of_the_day_quarantine', // migrations.js
+        achievements: 'dish_of_the_day_achievements' // achievements this device has announced
+    };
+    // Per-date game saves: dish_of_the_day_<YYYY-MM-DD>
+    const SAVE_KEY_RE = /^dish_of_the_day_(\d{4}-\d{2}-\d{2})$/;
+    // Settings that travel with a profile (WordishProfile.SETTINGS). The daily reminder doesn't, since it
+    // needs notification permission on each device.
+    const SETTING_KEYS = { darkMode: KEYS.darkMode, hardMode: KEYS.hardMode, preview: KEYS.preview, speedRun: KEYS.speedRun };
+    // Kept by this device alone: never synced, and left alone by a replacing import
+    const DEVICE_ONLY_KEYS = [KEYS.helpShown, KEYS.debugDate, KEYS.dailyReminder, KEYS.syncUrl, KEYS.schema, KEYS.quarantine, KEYS.achievements];
+    // Sync rounds tried when other devices keep writing in between (412 answers)
+    const MAX_SYNC_ATTEMPTS = 3;
+
+    function isProgressKey(key) {
+        return typeof key === 'string' && key.startsWith(KEY_PREFIX) && !DEVICE_ONLY_KEYS.includes(key);
+    }
+
+    /**
+     * Backend over a Storage object. store may also be a function returning it, so a browser that blocks
+     * localStorage throws inside the caller's try rather than when the backend is made.
+     */
+    function createLocalBackend(store) {
+        const get = typeof store === 'function' ? store : () => store;
+        return {
+            name: 'local',
+            getItem: (key) => get().getItem(key),
+            setItem: (key, value) => get().setItem(key, value),
+            removeItem: (key) => get().removeItem(key),
+            keys() {
+                const s = get();
+                const keys = [];
+                for (let i = 0; i < s.length; i++) {
+                    const key = s.key(i);
+                    if (key !== null) keys.push(key);
+                }
+                return keys;
+            }
+        };
+    }
+
+    function readJson(backend, key) {
+        try {
+            const raw = backend.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    // Everything a profile holds, read from a backend (see WordishProfile for the shape)
+    function readSnapshot(backend) {
+        const saves = {};
+        for (const key of backend.keys()) {
+            const match = SAVE_KEY_RE.exec(key);
+            if (!match) continue;
+            const state = readJson(backend, key);
+            if (state) saves[match[1]] = state;
+        }
+        const settings = {};
+        for (const [name, key] of Object.entries(SETTING_KEYS)) {
+            settings[name] = backend.getItem(key) === '1';
+        }
+        return {
+            log: readJson(backend, KEYS.log) || { events: [] },
+            stats: readJson(backend, KEYS.stats) || { games: [] },
+            attempts: readJson(backend, KEYS.attempts) || {},
+            practiceStats: readJson(backend, KEYS.practiceStats),
+            saves,
+            settings
+        };
+    }
+
+    // Write a snapshot to a backend; replace clears the device's progress first
+    function writeSnapshot(backend, snapshot, replace) {
+        if (replace) backend.keys().filter(isProgressKey).forEach(key => backend.removeItem(key));
+        backend.setItem(KEYS.log, JSON.stringify(snapshot.log));
+        // Progress from before the game log is left for migrations.js to move into it
+        if (snapshot.stats.games.length) backend.setItem(KEYS.stats, JSON.stringify(snapshot.stats));
+        if (Object.keys(snapshot.attempts).length) backend.setItem(KEYS.attempts, JSON.stringify(snapshot.attempts));
+        if (snapshot.practiceStats) backend.setItem(KEYS.practiceStats, JSON.stringify(snapshot.practiceStats));
+        for (const [date, state] of Object.entries(snapshot.saves)) {
+            backend.setItem(`${KEY_PREFIX}${date}`, JSON.stringify(state));
+        }
+        for (const [name, key] of Object.entries(SETTING_KEYS)) {
+            if (snapshot.settings[name]) {
+                backend.setItem(key, '1');
+            } else if (replace) {
+                backend.removeItem(key);
+            }
+        }
+    }
+
+    // JSON with object keys sorted, so snapshots compare equal whatever order their dates were merged in
+    function stableStringify(value) {
+        if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    function sameSnapshot(a, b) {
+        return stableStringify(WordishProfile.normalizeSnapshot(a).snapshot) === stableStringify(WordishProfile.normalizeSnapshot(b).snapshot);
+    }
+
+    // A save with moves made and no result yet
+    function isInProgress(state) {
+        return !!(state && !state.isWon && !state.isLost && Array.isArray(state.history) && state.history.length);
+    }
+
+    /**
+     * Backend that syncs a local backend with a server.
+     * options: { url, local: backend, token (optional, sent as a Bearer token),
+     *            fetch (default: global fetch), onChange(backend) (called when progress is written),
+     *            onMerge(local) (called after the server's progress is written to local, e.g. to migrate it) }
+     * sync() resolves to { ok: true, changed } (changed: the server had progress this device didn't) or
+     * { ok: false, error } where error is a sentence for the player. Overlapping calls share one sync.
+     */
+    function createRestBackend(options) {
+        const { url, local } = options;
+        const fetchFn = options.fetch || ((...args) => fetch(...args));
+        const auth = options.token ? { Authorization: `Bearer ${options.token}` } : {};
+        let pending = true;
+        let running = null;
+
+        function markChanged(key) {
+            if (!isProgressKey(key) || Object.values(SETTING_KEYS).includes(key)) return;
+            pending = true;
+            if (options.onChange) options.onChange(backend);
+        }
+
+        async function syncOnce() {
+            const response = await fetchFn(url, { headers: Object.assign({ Accept: 'application/json' }, auth), cache: 'no-store' });
+            if (!response.ok && response.status !== 404) return { ok: false, error: `The sync server answered ${response.status}.` };
+            let remote = WordishProfile.normalizeSnapshot(null).snapshot;
+            const etag = response.ok ? response.headers.get('ETag') : null;
+            if (response.ok) {
+                const parsed = WordishProfile.parseProfile(await response.text());
+                if (!parsed.ok) return { ok: false, error: parsed.error };
+                remote = parsed.snapshot;
+            }
+
+            // The server's copy goes first, so every device settles ties the same way (the first run kept
+            // for a date, which of two finished saves wins). Settings stay with each device.
+            const current = readSnapshot(local);
+            const merged = Object.assign(WordishProfile.mergeSnapshots(remote, current), { settings: current.settings });
+            // A game in progress on this device is never swapped for another device's save mid-play
+            for (const [date, state] of Object.entries(current.saves)) {
+                if (isInProgress(state)) merged.saves[date] = state;
+            }
+            if (!sameSnapshot(current, merged)) {
+                writeSnapshot(local, merged, false);
+                if (options.onMerge) options.onMerge(local);
+            }
+            const updated = readSnapshot(local);
+            const changed = !sameSnapshot(current, updated);
+            const outgoing = Object.assign({}, updated, { settings: {} });
+            if (response.ok && sameSnapshot(remote, outgoing)) return { ok: true, changed };
+
+            const put = await fetchFn(url, {
+                method: 'PUT',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, auth, etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }),
+                body: JSON.stringify(WordishProfile.createProfile(outgoing, new Date().toISOString()))
+            });
+            if (put.status === 412) return null;
+            if (!put.ok) return { ok: false, error: `The sync server answered ${put.status}.` };
+            return { ok: true, changed };
+        }
+
+        async function runSync() {
+            pending = false;
+            let result = null;
+            let changed = false;
+            try {
+                for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS && !result; attempt++) {
+                    result = await syncOnce();
+                    if (result && result.changed) changed = true;
+                }
+            } catch (error) {
+                result = { ok: false, error: 'The sync server could not be reached.' };
+            }
+            if (!result) result = { ok: false, error: 'Another device was syncing at the same time. Try again in a moment.' };
+            if (!result.ok) {
+                pending = true;
+                return result;
+            }
+            return { ok: true, changed };
+        }
+
+        const backend = {
+            name: 'rest',
+            url,
+            getItem: (key) => local.getItem(key),
+            setItem(key, value) {
+                local.setItem(key, value);
+                markChanged(key);
+            },
+            removeItem(key) {
+                local.removeItem(key);
+                markChanged(key);
+            },
+            keys: () => local.keys(),
+            // Whether progress was written since the last successful sync
+            hasPendingChanges: () => pending,
+            sync() {
+                if (!running) running = runSync().finally(() => { running = null; });
+                return running;
+            }
+        };
+        return backend;
+    }
+
+    return {
+        KEYS,
+        SAVE_KEY_RE,
+        SETTING_KEYS,
+        DEVICE_ONLY_KEYS,
+        MAX_SYNC_ATTEMPTS,
+        isProgressKey,
+        createLocalBackend,
+        readSnapshot,
+        writeSnapshot,
+        createRestBackend
+    };
+});
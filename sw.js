@@ -0,0 +1,168 @@
+/**
+ * Wordish service worker — keeps the game playable offline.
+ *   - Install precaches the app shell (SHELL_URLS, exactly as index.html requests them) and the data files.
+ *   - Pages are network-first, falling back to the cached index.html.
+ *   - Shell assets are cache-first: their ?v= parameter changes whenever the file does.
+ *   - Data files (DATA_URLS, themed pools) are served from cache when present and refreshed from the
+ *     network in the background. When a newly fetched puzzles.json differs from the cached one, open
+ *     pages get a { type: 'puzzles-updated' } message so they can reload the calendar.
+ * Responses answered from the cache carry an X-Wordish-Source: cache header, so the page can tell
+ * "offline with a saved copy" from "never loaded".
+ * Requests made with cache: 'no-store' (progress sync) are left to the network.
+ * Clicking a daily reminder notification focuses (or opens) the game.
+ *
+ * Registered by game.js. Node: require('./sw') exposes the URL lists (checked against index.html in tests).
+ */
+const CACHE_NAME = 'wordish';
+const SOURCE_HEADER = 'X-Wordish-Source';
+
+// Keep in step with index.html (test/service-worker.test.js checks every local asset is listed)
+const SHELL_URLS = [
+    './',
+    'index.html',
+    'styles.css?v=8',
+    'rules.js?v=9',
+    'solver.js?v=3',
+    'hints.js?v=1',
+    'pantry.js?v=1',
+    'practice.js?v=1',
+    'gamelog.js?v=2',
+    'achievements.js?v=2',
+    'profile.js?v=3',
+    'storage.js?v=5',
+    'migrations.js?v=2',
+    'charts.js?v=1',
+    'game.js?v=37',
+    'assets/logo.png?v=1',
+    'assets/icons/arrow-chevron-left.svg',
+    'assets/icons/arrow-chevron-right.svg',
+    'assets/icons/help.svg',
+    'assets/icons/info.svg',
+    'assets/icons/menu-hamburger.svg',
+    'assets/icons/settings.svg',
+    'assets/icons/stats.svg',
+    'assets/icons/submit.svg',
+    'favicon.svg',
+    'manifest.webmanifest'
+];
+
+const DATA_URLS = [
+    'puzzles.json',
+    'foods.json',
+    'foods-blocked.json',
+    'practice-words.json',
+    'achievements.json',
+    'pools/italian.json'
+];
+
+const PUZZLES_URL = 'puzzles.json';
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { CACHE_NAME, SOURCE_HEADER, SHELL_URLS, DATA_URLS };
+} else {
+    const scopeUrl = (url) => new URL(url, self.registration.scope).href;
+    const precached = new Set(SHELL_URLS.concat(DATA_URLS).map(scopeUrl));
+
+    function isDataRequest(url) {
+        const path = url.href.slice(self.registration.scope.length);
+        return DATA_URLS.includes(path) || /^pools\/[a-z0-9-]+\.json$/.test(path);
+    }
+
+    // Copy of a cached response marked as coming from the cache
+    function markFromCache(response) {
+        const headers = new Headers(response.headers);
+        headers.set(SOURCE_HEADER, 'cache');
+        return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+    }
+
+    async function notifyPuzzlesUpdated() {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'puzzles-updated' }));
+    }
+
+    async function networkFirstPage(request) {
+        const cache = await caches.open(CACHE_NAME);
+        try {
+            const response = await fetch(request);
+            if (response.ok) await cache.put(scopeUrl('index.html'), response.clone());
+            return response;
+        } catch (error) {
+            const cached = await cache.match(scopeUrl('index.html'));
+            if (cached) return markFromCache(cached);
+            throw error;
+        }
+    }
+
+    async function cacheFirst(request) {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    }
+
+    // Cached copy now, network copy into the cache for next time. With nothing cached, the network
+    // answer (or error) goes straight to the page.
+    async function staleWhileRevalidate(event) {
+        const { request } = event;
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request);
+        // Read the cached puzzles.json before its body is handed to the page
+        const cachedText = cached && request.url === scopeUrl(PUZZLES_URL) ? cached.clone().text() : null;
+        const refresh = fetch(request).then(async (response) => {
+            if (!response.ok) return response;
+            const changed = cachedText && (await cachedText) !== (await response.clone().text());
+            await cache.put(request, response.clone());
+            if (changed) await notifyPuzzlesUpdated();
+            return response;
+        });
+        if (!cached) return refresh;
+        event.waitUntil(refresh.catch(() => {}));
+        return markFromCache(cached);
+    }
+
+    self.addEventListener('install', (event) => {
+        event.waitUntil(
+            caches.open(CACHE_NAME)
+                .then(cache => cache.addAll(SHELL_URLS.concat(DATA_URLS)))
+                .then(() => self.skipWaiting())
+        );
+    });
+
+    // Drop shell assets from earlier versions (old ?v= URLs); data files and pools stay
+    self.addEventListener('activate', (event) => {
+        event.waitUntil((async () => {
+            const cache = await caches.open(CACHE_NAME);
+            for (const request of await cache.keys()) {
+                if (!precached.has(request.url) && !isDataRequest(new URL(request.url))) await cache.delete(request);
+            }
+            await self.clients.claim();
+        })());
+    });
+
+    // Daily reminder (game.js): open or focus the game
+    self.addEventListener('notificationclick', (event) => {
+        event.notification.close();
+        event.waitUntil((async () => {
+            const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+            const existing = clients.find(client => client.url.startsWith(self.registration.scope));
+            if (existing) return existing.focus();
+            return self.clients.openWindow(self.registration.scope);
+        })());
+    });
+
+    self.addEventListener('fetch', (event) => {
+        const { request } = event;
+        const url = new URL(request.url);
+        // no-store requests (progress sync, storage.js) always go to the network
+        if (request.method !== 'GET' || url.origin !== self.location.origin || request.cache === 'no-store') return;
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirstPage(request));
+        } else if (isDataRequest(url)) {
+            event.respondWith(staleWhileRevalidate(event));
+        } else {
+            event.respondWith(cacheFirst(request));
+        }
+    });
+}
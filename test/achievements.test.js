@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const WordishAchievements = require('../achievements');
+const { historyItem } = require('./helpers/game-context');
+
+const DEFINITIONS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'achievements.json'), 'utf8'));
+
+function run(date, won, moves, waste, extra) {
+  return Object.assign({
+    date, at: null, replay: false, won, moves, waste,
+    stars: { complete: won, elegant: won && moves <= 3, flavorful: false, skillful: won && waste <= 25 },
+    mode: 'standard'
+  }, extra);
+}
+
+function earned(events, histories) {
+  return WordishAchievements.getEarned(DEFINITIONS, { events, histories });
+}
+
+test('achievements.json has unique ids, the fields the grid shows and known rule types', () => {
+  assert.equal(new Set(DEFINITIONS.map((def) => def.id)).size, DEFINITIONS.length);
+  for (const def of DEFINITIONS) {
+    assert.equal(typeof def.title, 'string', def.id);
+    assert.equal(typeof def.description, 'string', def.id);
+    assert.equal(WordishAchievements.RULE_TYPES.includes(def.rule.type), true, def.id);
+  }
+});
+
+test('single-run achievements need a run that counts toward best', () => {
+  assert.deepEqual(earned([run('2026-03-01', true, 2, 0, { undo: true })], []), []);
+  assert.deepEqual(earned([run('2026-03-01', false, 5, 60)], []), []);
+  assert.deepEqual(earned([run('2026-03-01', true, 2, 0, { mode: 'hard' })], []), ['first-dish', 'solved-in-2', 'zero-waste', 'hard-win']);
+});
+
+test('streaks count dishes played on their own day, across month ends, and star achievements count dates', () => {
+  const days = ['2026-01-27', '2026-01-28', '2026-01-29', '2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02'];
+  // 23:30 UTC is already the next day in Helsinki
+  const onTheDay = (d) => run(d, false, 5, 60, { at: Date.parse(`${d}T23:30:00Z`) - 24 * 60 * 60 * 1000 });
+  assert.equal(earned(days.map(onTheDay), []).includes('streak-7'), true);
+  assert.equal(earned(days.slice(1).map(onTheDay), []).includes('streak-7'), false);
+  // Catching up on the archive in one evening isn't a streak, and neither are runs logged without a time
+  const later = Date.parse('2026-02-10T18:00:00Z');
+  assert.equal(earned(days.map((d) => run(d, false, 5, 60, { at: later })), []).includes('streak-7'), false);
+  assert.equal(earned(days.map((d) => run(d, false, 5, 60)), []).includes('streak-7'), false);
+
+  const elegant = Array.from({ length: 10 }, (_, i) => run(`2026-04-${String(i + 1).padStart(2, '0')}`, true, 3, 40));
+  assert.equal(earned(elegant, []).includes('elegant-10'), true);
+  // Replays of one date don't count twice
+  assert.equal(earned(elegant.slice(0, 9).concat([Object.assign({}, elegant[0], { replay: true })]), []).includes('elegant-10'), false);
+});
+
+test('ingredient achievements look at saved histories, and unknown rule types stay locked', () => {
+  const history = [historyItem('WORCESTERSHI', [])];
+  assert.deepEqual(earned([], [history]), ['long-ingredient']);
+  assert.deepEqual(WordishAchievements.getEarned([{ id: 'x', rule: { type: 'future' } }], { events: [run('2026-03-01', true, 1, 0)] }), []);
+});
+
+test('getNewlyEarned leaves out what was already announced', () => {
+  const context = { events: [run('2026-03-01', true, 2, 0)], histories: [] };
+  const newly = WordishAchievements.getNewlyEarned(DEFINITIONS, context, { 'first-dish': 1 });
+  assert.deepEqual(newly.map((def) => def.id), ['solved-in-2', 'zero-waste']);
+});
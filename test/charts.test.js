@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishCharts = require('../charts');
+
+test('barChart scales bars to the largest value and labels each one', () => {
+  const svg = WordishCharts.barChart([{ label: '1', value: 0 }, { label: '2', value: 2 }, { label: '3', value: 4 }], { label: 'Wins', highlight: 1 });
+  assert.match(svg, /^<svg class="chart chart-bars" viewBox="0 0 300 120" role="img" aria-label="Wins">/);
+  const heights = [...svg.matchAll(/height="([\d.]+)" rx/g)].map((m) => Number(m[1]));
+  assert.deepEqual(heights, [0, 43, 86]);
+  assert.equal((svg.match(/chart-bar-highlight/g) || []).length, 1);
+  assert.deepEqual([...svg.matchAll(/class="chart-label"[^>]*>([^<]*)</g)].map((m) => m[1]), ['1', '2', '3']);
+});
+
+test('barChart escapes labels and copes with no data', () => {
+  const svg = WordishCharts.barChart([{ label: '<b>&', value: 0 }], { label: '"x"' });
+  assert.equal(svg.includes('&lt;b&gt;&amp;'), true);
+  assert.equal(svg.includes('aria-label="&quot;x&quot;"'), true);
+  assert.equal(WordishCharts.barChart([]).includes('<rect'), false);
+});
+
+test('sparkline plots values oldest first against the given scale and marks the last', () => {
+  const svg = WordishCharts.sparkline([0, 4, 2], { label: 'Stars', max: 4 });
+  assert.equal(svg.includes('points="4,36 150,4 296,20"'), true);
+  assert.equal(svg.includes('<circle class="chart-dot" cx="296" cy="20"'), true);
+  assert.equal(WordishCharts.sparkline([]).includes('<circle'), false);
+});
@@ -0,0 +1,847 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, historyItem } = require('./helpers/game-context');
+
+const CANNOLI = { date: '2026-01-28', adjectives: ['APPEALING'], noun: 'CANNOLI' };
+const LOG_KEY = 'dish_of_the_day_log';
+// From before the game log
+const STATS_KEY = 'dish_of_the_day_stats';
+const ATTEMPTS_KEY = 'dish_of_the_day_attempts';
+
+// A game log event for a finished run (see gamelog.js)
+function logEvent(date, won, moves, waste, extra) {
+  return Object.assign({
+    date, at: null, replay: false, won, moves, waste,
+    stars: { complete: won, elegant: won && moves <= 3, flavorful: false, skillful: won && waste <= 25 },
+    mode: 'standard'
+  }, extra);
+}
+
+function logged(game) {
+  return JSON.parse(game.localStorage.getItem(LOG_KEY)).events;
+}
+
+// A finished game state: won (or lost) with the given history
+function finishedState(date, history, won) {
+  return {
+    adjectives: ['APPEALING'],
+    noun: 'CANNOLI',
+    remainingAdjectives: [''],
+    remainingNoun: '',
+    moves: history.length,
+    history,
+    isWon: !!won,
+    isLost: !won,
+    isElegant: !!won && history.length <= 3,
+    puzzleDate: date
+  };
+}
+
+const THREE_MOVE_WIN = [
+  historyItem('ANGELICA', ['adj', 'adj', 'adj', 'adj', 'adj', 'adj', 'noun', 'noun']),
+  historyItem('PAPRIKA', ['adj', 'plain', 'adj', 'plain', 'adj', 'plain', 'plain']),
+  historyItem('ONION', ['noun', 'noun', 'noun', 'noun', 'plain'])
+];
+
+test('getWastePercent and getStarsForCurrentGame read the current gameState', () => {
+  const game = loadGame();
+  game.setGameState(finishedState('2026-01-28', THREE_MOVE_WIN, true));
+  assert.equal(game.run('getWastePercent()'), 25); // 5 of 20
+  assert.deepEqual(game.get('getStarsForCurrentGame()'), {
+    complete: true, elegant: true, flavorful: true, skillful: true
+  });
+
+  game.setGameState(finishedState('2026-01-28', THREE_MOVE_WIN, false));
+  assert.deepEqual(game.get('getStarsForCurrentGame()'), {
+    complete: false, elegant: false, flavorful: false, skillful: false
+  });
+});
+
+test('recordAttempts keeps the first run and only replaces best with a better run', () => {
+  const game = loadGame();
+  const date = '2026-01-28';
+
+  game.setGameState(finishedState(date, THREE_MOVE_WIN.slice(0, 2), false));
+  assert.deepEqual(game.get('recordAttempts()'), { isNewBest: false });
+  let entry = game.get('getAttemptsData()')[date];
+  assert.deepEqual(entry.first, { moves: 2, waste: 27, won: false });
+  assert.equal(entry.best, null);
+
+  game.setGameState(finishedState(date, THREE_MOVE_WIN, true));
+  assert.deepEqual(game.get('recordAttempts()'), { isNewBest: true });
+  entry = game.get('getAttemptsData()')[date];
+  assert.deepEqual(entry.first, { moves: 2, waste: 27, won: false });
+  assert.deepEqual(entry.best, { moves: 3, waste: 25 });
+  assert.equal(entry.hadStarIngredient, true);
+
+  const worse = THREE_MOVE_WIN.concat([historyItem('KALE', ['plain', 'plain', 'plain', 'plain'])]);
+  game.setGameState(finishedState(date, worse, true));
+  assert.deepEqual(game.get('recordAttempts()'), { isNewBest: false });
+  entry = game.get('getAttemptsData()')[date];
+  assert.deepEqual(entry.best, { moves: 3, waste: 25 });
+});
+
+test('recordAttempts ignores games that are still in progress', () => {
+  const game = loadGame();
+  const state = finishedState('2026-01-28', THREE_MOVE_WIN, true);
+  state.isWon = false;
+  state.isLost = false;
+  game.setGameState(state);
+  assert.deepEqual(game.get('recordAttempts()'), { isNewBest: false });
+  assert.equal(game.localStorage.getItem(LOG_KEY), null);
+});
+
+test('getStats counts an attempt streak of consecutive days ending today', () => {
+  const game = loadGame();
+  const today = game.run('getRealHelsinkiDate()');
+  const day = (n) => game.run(`offsetDate(${JSON.stringify(today)}, ${n})`);
+  const events = [
+    logEvent(day(-5), true, 3, 10),
+    logEvent(day(-2), true, 4, 20),
+    logEvent(day(-1), false, 5, 50),
+    logEvent(day(0), true, 2, 0)
+  ];
+  game.localStorage.setItem(LOG_KEY, JSON.stringify({ events }));
+  const stats = game.get('getStats()');
+  assert.equal(stats.dishesAttempted, 4);
+  assert.equal(stats.attemptStreak, 3);
+  assert.equal(stats.successStreak, 1);
+  assert.equal(stats.dishSuccessesPercent, 75);
+  assert.equal(stats.averageWastePercent, 20);
+  assert.equal(stats.averageIngredients, '3.5');
+});
+
+test('getStats attempt streak is zero when today was not played', () => {
+  const game = loadGame();
+  const today = game.run('getRealHelsinkiDate()');
+  const yesterday = game.run(`offsetDate(${JSON.stringify(today)}, -1)`);
+  game.localStorage.setItem(LOG_KEY, JSON.stringify({ events: [logEvent(yesterday, true, 3, 0)] }));
+  const stats = game.get('getStats()');
+  assert.equal(stats.attemptStreak, 0);
+  assert.equal(stats.successStreak, 1);
+});
+
+test('getStats success streak counts trailing wins only', () => {
+  const game = loadGame();
+  const events = [true, false, true, true, true].map((won, i) => logEvent(`2026-02-0${i + 1}`, won, 3, 0));
+  game.localStorage.setItem(LOG_KEY, JSON.stringify({ events }));
+  assert.equal(game.get('getStats()').successStreak, 3);
+});
+
+test('replays are logged but don\'t inflate dishes prepared or break the success streak', () => {
+  const game = loadGame();
+  const events = [
+    logEvent('2026-02-01', true, 4, 20),
+    logEvent('2026-02-02', true, 3, 0),
+    logEvent('2026-02-01', false, 5, 60, { replay: true }),
+    logEvent('2026-02-01', true, 2, 0, { replay: true, stars: { complete: true, elegant: true, flavorful: true, skillful: true } })
+  ];
+  game.localStorage.setItem(LOG_KEY, JSON.stringify({ events }));
+  const stats = game.get('getStats()');
+  assert.equal(stats.dishesAttempted, 2);
+  assert.equal(stats.successStreak, 2);
+  assert.equal(stats.dishSuccessesPercent, 100);
+  assert.equal(stats.averageIngredients, '3.5');
+  // The better replay still counts for the date's best run and stars
+  assert.deepEqual(game.get('getAttemptsData()')['2026-02-01'].best, { moves: 2, waste: 0 });
+  assert.equal(game.get('getStarCountForDate("2026-02-01")'), 4);
+  assert.equal(stats.totalStars, 7);
+});
+
+test('getStats charts distributions, star types and the last 30 days of stars', () => {
+  const game = loadGame();
+  const today = game.run('getRealHelsinkiDate()');
+  const day = (n) => game.run(`offsetDate(${JSON.stringify(today)}, ${n})`);
+  const allStars = { complete: true, elegant: true, flavorful: true, skillful: true };
+  const events = [
+    logEvent(day(-40), true, 3, 10),
+    logEvent(day(-3), true, 3, 45),
+    logEvent(day(-2), false, 5, 100),
+    logEvent(day(-1), true, 2, 0, { stars: allStars }),
+    logEvent(day(0), true, 4, 20)
+  ];
+  game.localStorage.setItem(LOG_KEY, JSON.stringify({ events }));
+  const stats = game.get('getStats()');
+  assert.deepEqual(stats.guessDistribution, [0, 1, 2, 1, 0]);
+  assert.deepEqual(stats.wasteHistogram, [2, 1, 1, 0, 1]);
+  assert.deepEqual(stats.starCounts, { complete: 4, elegant: 3, flavorful: 1, skillful: 3 });
+  assert.equal(stats.successStreak, 2);
+  assert.equal(stats.maxSuccessStreak, 2);
+  assert.equal(stats.starsByDay.length, 30);
+  assert.deepEqual(stats.starsByDay.slice(-4), [2, 0, 4, 2]);
+
+  const content = game.run('getStatsContent()');
+  assert.equal((content.match(/<svg /g) || []).length, 4);
+  assert.equal(content.includes('Best Win Streak'), true);
+  assert.equal(loadGame().run('getStatsContent()').includes('<svg'), false);
+});
+
+test('the ingredients chart marks today\'s first win only, not replays or archive dishes', async () => {
+  const game = loadGame();
+  const today = game.run('getRealHelsinkiDate()');
+  const highlighted = () => (game.run('getStatsContent()').match(/chart-bar-highlight/g) || []).length;
+  async function win(date) {
+    game.__puzzle = { date, adjectives: ['HOT'], noun: 'PIE' };
+    game.run('currentPuzzle = __puzzle; resetGameState();');
+    for (const food of ['PHOTO', 'TIE']) await game.run(`processIngredient(${JSON.stringify(food)})`);
+  }
+
+  await win('2026-03-01');
+  assert.equal(highlighted(), 0);
+  await win(today);
+  assert.equal(highlighted(), 1);
+  game.run('handleRetry()');
+  await win(today);
+  assert.equal(highlighted(), 0);
+});
+
+test('the archive calendar summarizes the game log once per render', () => {
+  const game = loadGame({
+    [LOG_KEY]: JSON.stringify({ events: [logEvent('2026-03-01', true, 3, 10), logEvent('2026-03-02', true, 5, 40)] })
+  });
+  game.__puzzles = ['2026-03-01', '2026-03-02', '2026-03-03'].map((date) => ({ date, adjectives: ['HOT'], noun: 'PIE' }));
+  game.run('puzzles = __puzzles; archiveCalendarYear = 2026; archiveCalendarMonth = 3;');
+  game.run('var __summaries = 0; const __getAttemptsData = getAttemptsData; getAttemptsData = () => { __summaries++; return __getAttemptsData(); };');
+  game.run('renderArchiveCalendar()');
+  assert.equal(game.run('__summaries'), 1);
+  assert.equal(game.run('getStarCountForDate("2026-03-01")'), 3);
+});
+
+test('the Pantry tab gathers ingredients from saved games, rejected ones included', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-01', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('puzzles = [__puzzle]; allowedFoods = new Set(["KALE", "PHOTO", "PITA"]); currentPuzzle = __puzzle; resetGameState();');
+  assert.equal(await game.run('processIngredient("PIZZAZZ")'), false);
+  assert.equal(await game.run('processIngredient("PIZZAZZ")'), false);
+  assert.equal(await game.run('processIngredient("PHOTO")'), true);
+  assert.deepEqual(game.get('loadSavedState(__puzzle).rejected'), ['PIZZAZZ']);
+
+  const pantry = game.get('getPantry()');
+  assert.deepEqual(pantry.best, { ingredient: 'PHOTO', matches: 4, date: '2026-03-01' });
+  assert.deepEqual(pantry.rejected, [{ ingredient: 'PIZZAZZ', count: 1 }]);
+  const content = game.run('getStatsContent()');
+  assert.equal(content.includes('id="statsPanelPantry" role="tabpanel" aria-labelledby="statsTabPantry" hidden'), true);
+  assert.equal(content.includes('matched 4 letters in dish #001'), true);
+
+  game.run('showStatsTab("Pantry")');
+  assert.equal(game.document.getElementById('statsPanelPantry').hidden, false);
+  assert.equal(game.document.getElementById('statsPanelStats').hidden, true);
+  assert.equal(game.document.getElementById('statsTabPantry').getAttribute('aria-selected'), 'true');
+});
+
+test('finishing a dish unlocks achievements once, with a toast and a grid in the stats modal', async () => {
+  const game = loadGame();
+  game.__definitions = JSON.parse(require('fs').readFileSync(require('path').join(__dirname, '..', 'achievements.json'), 'utf8'));
+  game.__puzzle = { date: '2026-03-01', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('achievementDefinitions = __definitions; currentPuzzle = __puzzle; resetGameState();');
+  assert.equal(game.run('getStatsContent()').includes('Achievements 0/'), true);
+  for (const food of ['PHOTO', 'TIE']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  // Test timers fire at once, so the toast has already been hidden again
+  const toast = game.document.getElementById('achievementToast');
+  assert.equal(toast.textContent.startsWith('Achievement unlocked: 🍽️ First Course, ✌️ Two-Step'), true);
+  assert.deepEqual(Object.keys(JSON.parse(game.localStorage.getItem('dish_of_the_day_achievements'))), ['first-dish', 'solved-in-2']);
+
+  game.run('handleRetry()');
+  for (const food of ['PHOTO', 'TIE']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  assert.deepEqual(game.get('recordAchievements()'), []);
+  const content = game.run('getStatsContent()');
+  assert.equal(content.includes('Achievements 2/'), true);
+  assert.equal((content.match(/class="achievement achievement-earned"/g) || []).length, 2);
+
+  game.run('achievementDefinitions = [{ id: "x", title: "Salt & <b>Pepper</b>", description: "\\"Hot\\"", rule: { type: "wins", count: 1 } }]');
+  const escaped = game.run('getAchievementsContent()');
+  assert.equal(escaped.includes('Salt &amp; &lt;b&gt;Pepper&lt;/b&gt;'), true);
+  assert.equal(escaped.includes('&quot;Hot&quot;'), true);
+});
+
+test('getStats totals stars from progress recorded before the game log', () => {
+  const game = loadGame({
+    [ATTEMPTS_KEY]: JSON.stringify({
+      '2026-01-28': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 }, hadStarIngredient: true },
+      '2026-01-29': { first: { moves: 5, waste: 40, won: false }, best: null, hadStarIngredient: false },
+      '2026-01-30': { first: { moves: 5, waste: 40, won: true }, best: { moves: 5, waste: 40 } }
+    })
+  });
+  game.run('runStorageMigrations()');
+  assert.equal(game.localStorage.getItem(ATTEMPTS_KEY), null);
+  assert.equal(game.get('getStats()').totalStars, 5);
+});
+
+test('startup migrations upgrade the legacy singular remainingAdjective', () => {
+  const game = loadGame({
+    'dish_of_the_day_2026-01-28': JSON.stringify({
+      remainingAdjective: 'PPELIG',
+      remainingNoun: 'CNOLI',
+      moves: 1,
+      history: [historyItem('BANANA', ['plain', 'adj', 'adj', 'adj', 'noun', 'noun'])]
+    })
+  });
+  game.run('runStorageMigrations()');
+  game.__puzzle = CANNOLI;
+  const state = game.get('loadSavedState(__puzzle)');
+  assert.deepEqual(state.adjectives, ['APPEALING']);
+  assert.deepEqual(state.remainingAdjectives, ['PPELIG']);
+  assert.equal(state.remainingNoun, 'CNOLI');
+  assert.equal(state.moves, 1);
+  assert.equal(state.isWon, false);
+  assert.equal(state.puzzleDate, '2026-01-28');
+});
+
+test('loadSavedState fills missing fields from the puzzle', () => {
+  const game = loadGame({
+    'dish_of_the_day_2026-01-28': JSON.stringify({ remainingAdjective: '' })
+  });
+  game.__puzzle = CANNOLI;
+  const state = game.get('loadSavedState(__puzzle)');
+  assert.deepEqual(state.remainingAdjectives, ['APPEALING']);
+  assert.equal(state.remainingNoun, 'CANNOLI');
+  assert.equal(state.noun, 'CANNOLI');
+  assert.deepEqual(state.history, []);
+});
+
+test('loadSavedState returns null for missing or corrupt saves', () => {
+  const game = loadGame({ 'dish_of_the_day_2026-01-29': '{not json' });
+  game.__puzzle = CANNOLI;
+  assert.equal(game.run('loadSavedState(__puzzle)'), null);
+  game.__puzzle = { date: '2026-01-29', adjectives: ['SINFUL'], noun: 'CARPACCIO' };
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(game.run('loadSavedState(__puzzle)'), null);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('processIngredient plays a puzzle to a win and records stats and attempts', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-01', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+
+  assert.equal(await game.run('processIngredient("kale")'), true);
+  assert.equal(await game.run('processIngredient("KALE")'), false);
+  assert.equal(game.document.getElementById('inputFeedback').innerHTML.includes('already in the dish'), true);
+  assert.equal(await game.run('processIngredient("PIE")'), false);
+  assert.equal(await game.run('processIngredient("PHOTO")'), true);
+  assert.equal(await game.run('processIngredient("PITA")'), true);
+
+  const state = game.get('gameState');
+  assert.equal(state.isWon, true);
+  assert.equal(state.moves, 3);
+  assert.equal(state.isElegant, true);
+  assert.deepEqual(JSON.parse(game.localStorage.getItem('dish_of_the_day_2026-03-01')).history.map((h) => h.ingredient), ['KALE', 'PHOTO', 'PITA']);
+  assert.equal(logged(game).length, 1);
+  assert.equal(logged(game)[0].replay, false);
+  assert.deepEqual(game.get('getAttemptsData()')['2026-03-01'].best, { moves: 3, waste: 54 });
+  assert.equal(await game.run('processIngredient("FIG")'), false);
+});
+
+test('processIngredient loses after the last allowed move', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-02', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  for (const food of ['KALE', 'RUM', 'BASIL', 'CUMIN', 'FIG']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  const state = game.get('gameState');
+  assert.equal(state.isLost, true);
+  assert.equal(state.isWon, false);
+  const attempts = game.get('getAttemptsData()')['2026-03-02'];
+  assert.deepEqual(attempts.first.won, false);
+  assert.equal(attempts.best, null);
+});
+
+test('hints are saved with the game, recorded on attempts and shown in share text', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-03', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  game.run('handleHintClick(); handleHintClick();');
+  assert.equal(JSON.parse(game.localStorage.getItem('dish_of_the_day_2026-03-03')).hintsUsed, 2);
+  assert.equal(game.get('loadSavedState(__puzzle)').hintsUsed, 2);
+
+  for (const food of ['PHOTO', 'TIE']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  assert.equal(game.get('gameState').isWon, true);
+  assert.deepEqual(game.get('getAttemptsData()')['2026-03-03'].best, { moves: 2, waste: 25, hints: 2 });
+  // 25% waste would earn SKILLFUL without hints
+  assert.equal(game.get('getStarsForCurrentGame()').skillful, false);
+  assert.equal(game.get('getStarsForDate("2026-03-03")').skillful, false);
+  assert.equal(game.run('generateShareText()').includes('💡 2 hints'), true);
+  game.run('handleHintClick()');
+  assert.equal(game.get('gameState').hintsUsed, 2);
+});
+
+test('hard mode is fixed when a run starts and recorded separately', async () => {
+  const game = loadGame({ 'dish_of_the_day_hard_mode': '1' });
+  game.__puzzle = { date: '2026-03-04', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  assert.equal(game.get('gameState').hardMode, true);
+
+  assert.equal(await game.run('processIngredient("KALE")'), false);
+  assert.equal(game.document.getElementById('inputFeedback').innerHTML.includes('Hard mode'), true);
+  assert.equal(await game.run('processIngredient("PHOTO")'), true);
+  game.run('setHardMode(false)');
+  assert.equal(game.get('gameState').hardMode, true);
+  assert.equal(await game.run('processIngredient("TIE")'), true);
+
+  const entry = game.get('getAttemptsData()')['2026-03-04'];
+  assert.deepEqual(entry.best, { moves: 2, waste: 25 });
+  assert.deepEqual(entry.hard, { first: { moves: 2, waste: 25, won: true }, best: { moves: 2, waste: 25 } });
+  assert.equal(logged(game)[0].mode, 'hard');
+  const stats = game.get('getStats()');
+  assert.equal(stats.hardModeDishes, 1);
+  assert.equal(stats.hardModeWins, 1);
+  assert.equal(game.run('generateShareText()').startsWith('dish #001 (hard mode)'), true);
+
+  game.run('handleRetry()');
+  assert.equal(game.get('gameState').hardMode, false);
+  game.run('setHardMode(true)');
+  assert.equal(game.get('gameState').hardMode, true);
+  // Saved straight away, so a reload before the first ingredient keeps it
+  assert.equal(game.get('loadSavedState(__puzzle)').hardMode, true);
+});
+
+test('letter preview shows what the typed ingredient would match, only when enabled outside hard mode', () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-05', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  const input = game.document.getElementById('ingredientInput');
+  input.value = 'PHOTO';
+  game.run('updateInputValidationState()');
+  assert.equal(game.run('previewMatch'), null);
+  assert.equal(game.document.getElementById('inputFeedback').textContent, '');
+
+  game.run('setPreviewEnabled(true)');
+  assert.deepEqual(game.get('[...previewMatch.keys].sort()'), ['0,0', '0,1', '0,2', '1,0']);
+  assert.equal(game.run('previewMatch.waste'), 1);
+  assert.equal(game.document.getElementById('inputFeedback').innerHTML.includes('Would match 4 letters, 1 wasted.'), true);
+
+  game.run('setHardMode(true)');
+  assert.equal(game.run('previewMatch'), null);
+  assert.equal(game.document.getElementById('inputFeedback').textContent, '');
+});
+
+test('speed runs have no letter preview and no hints', () => {
+  const game = loadGame({ dish_of_the_day_preview: '1' });
+  game.__puzzle = { date: '2026-03-05', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  game.run('setSpeedRun(true)');
+  assert.equal(game.get('gameState').timed, true);
+  assert.equal(game.get('loadSavedState(__puzzle)').timed, true);
+  game.document.getElementById('ingredientInput').value = 'PHOTO';
+  game.run('updateInputValidationState()');
+  assert.equal(game.run('previewMatch'), null);
+  game.run('allowedFoods = new Set(["PHOTO"]); renderHints()');
+  assert.equal(game.document.getElementById('hintBtn').disabled, true);
+  game.run('handleHintClick()');
+  assert.equal(game.get('gameState').hintsUsed || 0, 0);
+
+  game.run('setSpeedRun(false)');
+  assert.notEqual(game.run('previewMatch'), null);
+  assert.equal(game.document.getElementById('hintBtn').disabled, false);
+});
+
+test('undo takes back the last ingredient in replays only, and undone runs never become best', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-06', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  assert.equal(game.run('canUndo()'), false);
+  assert.equal(await game.run('processIngredient("PHOTO")'), true);
+  assert.equal(await game.run('processIngredient("KALE")'), true);
+  assert.equal(game.run('canUndo()'), true);
+
+  game.run('handleUndo()');
+  const state = game.get('gameState');
+  assert.deepEqual(state.history.map((h) => h.ingredient), ['PHOTO']);
+  assert.equal(state.remainingNoun, 'IE');
+  assert.equal(state.moves, 1);
+  assert.equal(state.undoUsed, true);
+  assert.equal(JSON.parse(game.localStorage.getItem('dish_of_the_day_2026-03-06')).undoUsed, true);
+
+  assert.equal(await game.run('processIngredient("TIE")'), true);
+  assert.equal(game.get('gameState').isWon, true);
+  assert.equal(game.run('canUndo()'), false);
+  const entry = game.get('getAttemptsData()')['2026-03-06'];
+  assert.deepEqual(entry.first, { moves: 2, waste: 25, won: true, undo: true });
+  assert.equal(entry.best, null);
+  assert.equal(game.get('getStarCountForDate("2026-03-06")'), 0);
+});
+
+test('undo is not available on today\'s puzzle', async () => {
+  const game = loadGame();
+  const today = game.run('getRealHelsinkiDate()');
+  game.__puzzle = { date: today, adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  assert.equal(await game.run('processIngredient("KALE")'), true);
+  assert.equal(game.run('canUndo()'), false);
+  game.run('handleUndo()');
+  assert.equal(game.get('gameState').moves, 1);
+});
+
+test('help example follows the current puzzle\'s rule set', () => {
+  const game = loadGame();
+  game.__puzzle = Object.assign({ rules: 'shortest' }, CANNOLI);
+  game.run('currentPuzzle = __puzzle');
+  const shortest = game.run('getHelpContent()');
+  assert.equal(shortest.includes('fewer letters left'), true);
+  game.run('currentPuzzle = null');
+  const greedy = game.run('getHelpContent()');
+  assert.equal(greedy.includes('left to right'), true);
+  assert.notEqual(shortest.split('Would produce this:')[1], greedy.split('Would produce this:')[1]);
+});
+
+test('loadSavedState takes the rule set from the puzzle', () => {
+  const game = loadGame({ 'dish_of_the_day_2026-01-28': JSON.stringify({ moves: 0, history: [] }) });
+  game.__puzzle = Object.assign({ rules: 'shortest' }, CANNOLI);
+  assert.equal(game.get('loadSavedState(__puzzle)').rules, 'shortest');
+});
+
+test('multi-adjective dishes play, save and share across every line', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-07', adjectives: ['SPICY', 'CRISPY'], noun: 'TOFU' };
+  game.run('currentPuzzle = __puzzle; resetGameState();');
+  assert.equal(await game.run('processIngredient("PICO")'), true);
+  const saved = JSON.parse(game.localStorage.getItem('dish_of_the_day_2026-03-07'));
+  assert.deepEqual(saved.remainingAdjectives, ['SY', 'CRISPY']);
+
+  const loaded = game.get('loadSavedState(__puzzle)');
+  assert.deepEqual(loaded.adjectives, ['SPICY', 'CRISPY']);
+  assert.deepEqual(loaded.remainingAdjectives, ['SY', 'CRISPY']);
+  assert.equal(game.get('getLetterStatesForDisplay()').length, 3);
+  assert.deepEqual(game.get('getKthMatchedPosition(getLetterStatesForDisplay(), 0)'), { lineIndex: 0, indexInLine: 1 });
+
+  for (const food of ['CRISPY', 'SOY', 'TURF']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  assert.equal(game.get('gameState').isWon, true);
+  assert.equal(game.run('generateShareText()').includes('SPICY CRISPY TOFU using 4 secret ingredients'), true);
+});
+
+test('per-puzzle limits drive recipe slots, stars for the date and share text', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-08', adjectives: ['HOT'], noun: 'PIE', maxMoves: 7, elegantMaxMoves: 4 };
+  game.run('puzzles = [__puzzle]; currentPuzzle = __puzzle; resetGameState(); loadRecipe();');
+  assert.equal(game.document.getElementById('recipeContainer').children.length, 7);
+
+  for (const food of ['KALE', 'FIG', 'RUM', 'PHOTO']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  assert.equal(game.get('gameState').isElegant, true);
+  assert.equal(game.get('getStarsForDate("2026-03-08")').elegant, true);
+  assert.equal(logged(game)[0].maxMoves, 7);
+  assert.equal(game.run('generateShareText()').includes('using 4 of 7 secret ingredients'), true);
+  assert.equal(game.run('getHelpContent()').includes('using seven ingredients or fewer'), true);
+});
+
+test('themed puzzles accept only their ingredient pool and show the theme', async () => {
+  const game = loadGame();
+  game.fetch = (url) => Promise.resolve({ ok: true, json: () => Promise.resolve(url === 'pools/italian.json' ? ['pesto', 'pita', 'photo'] : []) });
+  game.__puzzle = { date: '2026-03-09', adjectives: ['HOT'], noun: 'PIE', theme: 'Italian Week', ingredientPool: 'italian' };
+  game.run('puzzles = [__puzzle]; allowedFoods = new Set(["KALE", "PESTO", "PITA", "PHOTO"])');
+  await game.run('loadIngredientPools()');
+  game.run('currentPuzzle = __puzzle; resetGameState(); updateThemeDisplay(currentPuzzle);');
+
+  const theme = game.document.getElementById('themeDisplay');
+  assert.equal(theme.textContent, 'Italian Week');
+  assert.equal(theme.hidden, false);
+  assert.equal(await game.run('processIngredient("KALE")'), false);
+  assert.equal(game.document.getElementById('inputFeedback').innerHTML.includes("isn't on the Italian Week menu"), true);
+  assert.equal(await game.run('processIngredient("PHOTO")'), true);
+
+  game.__puzzle = { date: '2026-03-10', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState(); updateThemeDisplay(currentPuzzle);');
+  assert.equal(theme.hidden, true);
+  assert.equal(await game.run('processIngredient("KALE")'), true);
+});
+
+test('a themed pool that fails to load falls back to the full food list, with a notice', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-09', adjectives: ['HOT'], noun: 'PIE', theme: 'Italian Week', ingredientPool: 'italian' };
+  game.run('puzzles = [__puzzle]; allowedFoods = new Set(["KALE"])');
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    await game.run('loadIngredientPools()');
+  } finally {
+    console.warn = originalWarn;
+  }
+  game.run('currentPuzzle = __puzzle; resetGameState(); updateThemeDisplay(currentPuzzle);');
+  assert.equal(await game.run('processIngredient("KALE")'), true);
+  const notice = game.document.getElementById('offlineNotice');
+  assert.equal(notice.hidden, false);
+  assert.equal(notice.textContent, "The Italian Week menu couldn't be loaded, so any food is accepted for this dish.");
+
+  game.__puzzle = { date: '2026-03-10', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; updateThemeDisplay(currentPuzzle);');
+  assert.equal(notice.hidden, true);
+});
+
+test('practice rounds are kept out of daily stats, attempts and saves', async () => {
+  const game = loadGame();
+  game.fetch = () => Promise.resolve({ ok: true, json: () => Promise.resolve({ adjectives: ['HOT'], nouns: ['PIE'] }) });
+  game.__puzzle = { date: '2026-03-01', adjectives: ['WARM'], noun: 'TOAST' };
+  game.run('puzzles = [__puzzle]; allowedFoods = new Set(["KALE", "PHOTO", "PITA"])');
+
+  assert.equal(await game.run('startPracticeRound()'), true);
+  assert.equal(game.get('currentPuzzle').practice, true);
+  assert.equal(game.document.getElementById('dateDisplay').textContent, 'PRACTICE');
+  for (const food of ['PHOTO', 'PITA', 'KALE']) {
+    assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+  }
+  assert.equal(game.get('gameState').isWon, true);
+  assert.equal(game.localStorage.getItem(LOG_KEY), null);
+  assert.equal(game.localStorage.getItem('dish_of_the_day_practice'), null);
+  assert.deepEqual(game.get('getPracticeStats()'), { played: 1, won: 1, streak: 1, maxStreak: 1, winMoves: 3, stars: 2 });
+  assert.equal(game.run('getStatsContent()').includes('Practice Wins'), true);
+  const footer = game.document.getElementById('footerCompletionActions').children.map((btn) => btn.textContent);
+  assert.deepEqual(footer, ['REPLAY', 'NEW DISH']);
+});
+
+test('speed runs time a win from the first keystroke and keep the fastest time', async () => {
+  const game = loadGame({ dish_of_the_day_speed_run: '1' });
+  game.__puzzle = { date: '2026-03-11', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('puzzles = [__puzzle]; currentPuzzle = __puzzle; resetGameState(); __now = 1000; Date.now = () => __now;');
+
+  async function play(finishAt) {
+    game.run('resetGameState()');
+    assert.equal(game.get('gameState.startedAt'), null);
+    game.run('startSpeedClock()');
+    for (const food of ['PHOTO', 'PITA']) assert.equal(await game.run(`processIngredient(${JSON.stringify(food)})`), true);
+    game.run(`__now += ${finishAt}`);
+    assert.equal(await game.run('processIngredient("KALE")'), true);
+  }
+
+  await play(83500);
+  assert.equal(game.get('gameState.timeMs'), 83500);
+  assert.equal(game.document.getElementById('speedClock').textContent, '⏱ TIME 1:23');
+  assert.equal(game.run('generateShareText()').includes('⏱ 1:23'), true);
+  await play(61000);
+
+  const entry = game.get('getAttemptsData()')['2026-03-11'];
+  assert.equal(entry.first.time, 83500);
+  assert.equal(entry.bestTime, 61000);
+  const stats = game.get('getStats()');
+  assert.equal(stats.timedWins, 2);
+  assert.equal(stats.averageTimeMs, 83500);
+  assert.equal(stats.bestTimeMs, 61000);
+  assert.equal(game.run('formatSpeedTime(3723000)'), '1:02:03');
+});
+
+test('speed-run stats skip undo runs and average first runs only', () => {
+  const game = loadGame({
+    [LOG_KEY]: JSON.stringify({ events: [
+      logEvent('2026-03-01', true, 3, 10, { timeMs: 90000 }),
+      logEvent('2026-03-01', true, 3, 10, { replay: true, timeMs: 30000 }),
+      logEvent('2026-03-02', true, 3, 10, { timeMs: 60000 }),
+      logEvent('2026-03-03', true, 3, 10, { timeMs: 5000, undo: true })
+    ] })
+  });
+  const stats = game.get('getStats()');
+  assert.equal(stats.timedWins, 3);
+  assert.equal(stats.averageTimeMs, 75000);
+  assert.equal(stats.bestTimeMs, 30000);
+});
+
+test('untimed runs never start the clock', async () => {
+  const game = loadGame();
+  game.__puzzle = { date: '2026-03-12', adjectives: ['HOT'], noun: 'PIE' };
+  game.run('currentPuzzle = __puzzle; resetGameState(); startSpeedClock();');
+  assert.equal(game.get('gameState.startedAt'), null);
+  game.run('updateDisplay()');
+  assert.equal(game.document.getElementById('speedClock').hidden, true);
+});
+
+test('data loaders tell a cached offline copy from data that never loaded', async () => {
+  const game = loadGame();
+  const cached = { ok: true, headers: { get: (name) => (name === 'X-Wordish-Source' ? 'cache' : null) }, json: () => Promise.resolve([]) };
+  game.fetch = () => Promise.resolve(cached);
+  game.navigator.onLine = false;
+  await game.run('loadPuzzles()');
+  await game.run('loadFoodLists()');
+  assert.deepEqual(game.get('dataSources'), { puzzles: 'cache', foods: 'cache' });
+  assert.equal(game.document.getElementById('offlineNotice').hidden, false);
+  assert.equal(game.run('getNoPuzzleText()'), 'No puzzle yet');
+
+  game.fetch = () => Promise.reject(new Error('offline'));
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await game.run('loadPuzzles()');
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(game.get('dataSources').puzzles, 'missing');
+  assert.equal(game.run('getNoPuzzleText()'), "You're offline, and no puzzles have been saved on this device yet.");
+  game.navigator.onLine = true;
+  assert.equal(game.run('getNoPuzzleText()'), "Puzzles couldn't be loaded. Please try again later.");
+});
+
+test('the daily reminder is opt-in, needs permission and notifies at rollover', async () => {
+  const game = loadGame();
+  const shown = [];
+  class FakeNotification {
+    constructor(title, options) {
+      shown.push({ title, body: options.body });
+    }
+  }
+  FakeNotification.permission = 'default';
+  FakeNotification.requestPermission = () => Promise.resolve('denied');
+  game.window.Notification = FakeNotification;
+  const today = game.run('getRealHelsinkiDate()');
+  game.__puzzles = [{ date: game.run(`offsetDate(${JSON.stringify(today)}, -1)`), adjectives: ['HOT'], noun: 'PIE' },
+    { date: today, adjectives: ['WARM'], noun: 'TOAST' }];
+  game.run('puzzles = __puzzles');
+
+  assert.equal(await game.run('setDailyReminder(true)'), false);
+  assert.equal(game.run('isDailyReminderEnabled()'), false);
+
+  FakeNotification.requestPermission = () => {
+    FakeNotification.permission = 'granted';
+    return Promise.resolve('granted');
+  };
+  assert.equal(await game.run('setDailyReminder(true)'), true);
+  game.run('handleDailyRollover()');
+  assert.deepEqual(shown, [{ title: 'wordish.', body: 'Dish #002 is ready.' }]);
+
+  assert.equal(await game.run('setDailyReminder(false)'), false);
+  game.run('handleDailyRollover()');
+  assert.equal(shown.length, 1);
+});
+
+test('the midnight rollover moves on from the dish that ended but leaves replays and practice alone', () => {
+  const game = loadGame();
+  const today = game.run('getRealHelsinkiDate()');
+  const day = (n) => game.run(`offsetDate(${JSON.stringify(today)}, ${n})`);
+  game.__puzzles = [-2, -1, 0].map((n) => ({ date: day(n), adjectives: ['HOT'], noun: 'PIE' }));
+  game.run('puzzles = __puzzles');
+
+  game.run('loadPuzzle(puzzles[0])');
+  game.run(`handleMidnightRollover(${JSON.stringify(day(-1))})`);
+  assert.equal(game.run('currentPuzzle.date'), day(-2));
+
+  game.__practice = { date: 'practice', adjectives: ['COLD'], noun: 'SOUP', practice: true };
+  game.run('loadPuzzle(__practice)');
+  game.run(`handleMidnightRollover(${JSON.stringify(day(-1))})`);
+  assert.equal(game.run('isPracticeGame()'), true);
+
+  game.run('loadPuzzle(puzzles[1])');
+  game.run(`handleMidnightRollover(${JSON.stringify(day(-1))})`);
+  assert.equal(game.run('currentPuzzle.date'), today);
+});
+
+test('profile import merges into or replaces this device\'s progress', () => {
+  const attempts = { '2026-01-28': { first: { moves: 5, waste: 40, won: true }, best: { moves: 5, waste: 40 }, hadStarIngredient: false } };
+  const game = loadGame({
+    [ATTEMPTS_KEY]: JSON.stringify(attempts),
+    [STATS_KEY]: JSON.stringify({ games: [{ date: '2026-01-28', won: true, moves: 5, wastePercent: 40 }] }),
+    'dish_of_the_day_2026-01-28': JSON.stringify(finishedState('2026-01-28', THREE_MOVE_WIN, true)),
+    'dish_of_the_day_help_shown': '1',
+    'dish_of_the_day_dark_mode': '1'
+  });
+  const exported = game.get('WordishProfile.createProfile(WordishStorage.readSnapshot(storage), null)');
+  assert.equal(exported.settings.darkMode, true);
+  assert.deepEqual(exported.attempts, attempts);
+
+  game.__text = JSON.stringify(Object.assign({}, exported, {
+    attempts: { '2026-01-29': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 } } },
+    stats: { games: [] },
+    saves: {},
+    settings: {}
+  }));
+  assert.deepEqual(game.get('importProfileText(__text, "merge")'), { ok: true, message: 'Imported 1 day of progress.' });
+  assert.deepEqual(Object.keys(game.get('getAttemptsData()')).sort(), ['2026-01-28', '2026-01-29']);
+  assert.equal(game.localStorage.getItem('dish_of_the_day_dark_mode'), '1');
+
+  assert.equal(game.get('importProfileText(__text, "replace")').ok, true);
+  assert.deepEqual(Object.keys(game.get('getAttemptsData()')), ['2026-01-29']);
+  assert.equal(game.localStorage.getItem('dish_of_the_day_2026-01-28'), null);
+  assert.equal(game.localStorage.getItem('dish_of_the_day_dark_mode'), null);
+  assert.equal(game.localStorage.getItem('dish_of_the_day_help_shown'), '1');
+
+  assert.equal(game.get('importProfileText("{}", "merge")').ok, false);
+});
+
+test('a sync server moves progress onto the sync backend and merges what it sends back', async () => {
+  const game = loadGame({
+    [ATTEMPTS_KEY]: JSON.stringify({ '2026-01-28': { first: { moves: 5, waste: 40, won: true }, best: { moves: 5, waste: 40 } } })
+  });
+  assert.equal(game.run('storage.name'), 'local');
+  assert.equal(game.run('setSyncUrl("ftp://example.com")'), 'Enter the full https:// address of your sync server.');
+
+  const puts = [];
+  const remote = JSON.stringify({
+    format: 'wordish-profile',
+    version: 1,
+    attempts: { '2026-01-28': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 } } }
+  });
+  game.fetch = (url, options) => {
+    if (options.method === 'PUT') {
+      puts.push(JSON.parse(options.body));
+      return Promise.resolve({ ok: true, status: 204 });
+    }
+    return Promise.resolve({ ok: true, status: 200, headers: { get: () => '"1"' }, text: () => Promise.resolve(remote) });
+  };
+  assert.equal(game.run('setSyncUrl("https://example.com/profile")'), '');
+  assert.equal(game.run('storage.name'), 'rest');
+  assert.equal(game.localStorage.getItem('dish_of_the_day_sync_url'), 'https://example.com/profile');
+  // Shares the sync setSyncUrl started
+  assert.equal((await game.run('syncProgress()')).changed, true);
+  assert.deepEqual(game.get('getAttemptsData()')['2026-01-28'].best, { moves: 3, waste: 10 });
+  // The server's older profile goes back as a game log
+  assert.equal(puts.length, 1);
+  assert.deepEqual(puts[0].log.events.map((e) => e.date), ['2026-01-28']);
+  assert.deepEqual(puts[0].attempts, {});
+
+  assert.equal(game.run('setSyncUrl("")'), '');
+  assert.equal(game.run('storage.name'), 'local');
+});
+
+test('a sync keeps the player on their puzzle and reloads it only when its own save changed', async () => {
+  const PIE = { date: '2026-03-06', adjectives: ['HOT'], noun: 'PIE' };
+  const game = loadGame({ dish_of_the_day_sync_url: 'https://example.com/profile' });
+  let saves = {};
+  game.fetch = (url, options) => {
+    if (options.method === 'PUT') return Promise.resolve({ ok: true, status: 204 });
+    const body = JSON.stringify({ format: 'wordish-profile', version: 2, saves });
+    return Promise.resolve({ ok: true, status: 200, headers: { get: () => '"1"' }, text: () => Promise.resolve(body) });
+  };
+  game.__puzzle = PIE;
+  game.run('puzzles = [__puzzle]; loadPuzzle(__puzzle)');
+  await game.run('syncProgress()');
+
+  // Another date changed: the replay in progress is left as it is
+  saves = { '2026-01-28': finishedState('2026-01-28', THREE_MOVE_WIN, true) };
+  assert.equal(await game.run('processIngredient("PHOTO")'), true);
+  await game.run('syncProgress()');
+  assert.ok(game.localStorage.getItem('dish_of_the_day_2026-01-28'));
+  assert.equal(game.run('currentPuzzle.date'), '2026-03-06');
+  assert.deepEqual(game.get('gameState').history.map((h) => h.ingredient), ['PHOTO']);
+
+  // This date's save came from another device: the open puzzle shows it
+  game.localStorage.removeItem('dish_of_the_day_2026-03-06');
+  game.run('resetGameState()');
+  saves = { '2026-03-06': Object.assign(finishedState('2026-03-06', [historyItem('HOTPIE', ['adj', 'adj', 'adj', 'noun', 'noun', 'noun'])], true), { adjectives: ['HOT'], noun: 'PIE' }) };
+  assert.equal((await game.run('syncProgress()')).changed, true);
+  assert.equal(game.run('currentPuzzle.date'), '2026-03-06');
+  assert.equal(game.get('gameState').isWon, true);
+});
+
+test('an unreadable save is quarantined rather than silently replaced', () => {
+  const game = loadGame({ 'dish_of_the_day_2026-01-28': '{"moves":' });
+  game.__puzzle = CANNOLI;
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(game.run('loadSavedState(__puzzle)'), null);
+  } finally {
+    console.warn = originalWarn;
+  }
+  assert.equal(game.localStorage.getItem('dish_of_the_day_2026-01-28'), null);
+  const quarantined = JSON.parse(game.localStorage.getItem('dish_of_the_day_quarantine'));
+  assert.deepEqual(quarantined.map(q => [q.key, q.value]), [['dish_of_the_day_2026-01-28', '{"moves":']]);
+});
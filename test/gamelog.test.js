@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishGameLog = require('../gamelog');
+const { historyItem } = require('./helpers/game-context');
+
+function run(date, won, moves, waste, extra) {
+  return Object.assign({
+    date, at: null, replay: false, won, moves, waste,
+    stars: { complete: won, elegant: won && moves <= 3, flavorful: false, skillful: won && waste <= 25 },
+    mode: 'standard'
+  }, extra);
+}
+
+test('createRunEvent logs a finished game state', () => {
+  const history = [
+    historyItem('PHOTO', ['noun', 'adj', 'adj', 'adj', 'plain']),
+    historyItem('TIE', ['noun', 'noun', 'noun'])
+  ];
+  const state = { puzzleDate: '2026-03-04', adjectives: ['HOT'], noun: 'PIE', moves: 2, history, isWon: true, isElegant: true, hardMode: true, hintsUsed: 1, timed: true, timeMs: 61000 };
+  assert.deepEqual(WordishGameLog.createRunEvent(state, 1000, true), {
+    date: '2026-03-04', at: 1000, replay: true, won: true, moves: 2, waste: 13,
+    stars: { complete: true, elegant: true, flavorful: false, skillful: false },
+    mode: 'hard', hints: 1, timeMs: 61000
+  });
+});
+
+test('normalizeEvent rejects runs without a date, result or numbers', () => {
+  assert.equal(WordishGameLog.normalizeEvent({ date: '2026-01-28', won: true, moves: 3 }), null);
+  assert.equal(WordishGameLog.normalizeEvent({ date: 'yesterday', won: true, moves: 3, waste: 0 }), null);
+  assert.deepEqual(WordishGameLog.normalizeEvent({ date: '2026-01-28', won: false, moves: 5, waste: 60, mode: 'turbo' }), run('2026-01-28', false, 5, 60));
+});
+
+test('summarize keeps the first run, the best run with its stars, and flavorful from any run that counts', () => {
+  const events = [
+    run('2026-01-28', false, 5, 60),
+    run('2026-01-28', true, 4, 20, { replay: true, mode: 'hard', stars: { complete: true, elegant: false, flavorful: true, skillful: true } }),
+    run('2026-01-28', true, 2, 0, { replay: true, undo: true }),
+    run('2026-01-28', true, 3, 40, { replay: true, hints: 1 })
+  ];
+  // skillful came from a different run than the best one, so it isn't kept
+  assert.deepEqual(WordishGameLog.summarize(events)['2026-01-28'], {
+    first: { moves: 5, waste: 60, won: false },
+    best: { moves: 3, waste: 40, hints: 1 },
+    hadStarIngredient: true,
+    stars: { complete: true, elegant: true, flavorful: true, skillful: false },
+    hard: { first: { moves: 4, waste: 20, won: true }, best: { moves: 4, waste: 20 } }
+  });
+});
+
+test('getFirstRuns gives one run per date in date order', () => {
+  const events = [
+    run('2026-01-29', true, 3, 0, { replay: true }),
+    run('2026-01-29', false, 5, 60),
+    run('2026-01-28', true, 4, 20)
+  ];
+  assert.deepEqual(WordishGameLog.getFirstRuns(events).map((e) => [e.date, e.won]), [['2026-01-28', true], ['2026-01-29', false]]);
+});
+
+test('mergeLogs keeps every run once and orders by time', () => {
+  const a = [run('2026-01-28', true, 3, 0, { at: 300 }), run('2026-01-28', true, 3, 0, { at: 300 }), run('2026-01-27', true, 4, 0)];
+  const b = [run('2026-01-28', true, 3, 0, { at: 300 }), run('2026-01-29', false, 5, 60, { at: 100 })];
+  const merged = WordishGameLog.mergeLogs(a, b);
+  assert.deepEqual(merged.map((e) => [e.date, e.at]), [['2026-01-27', null], ['2026-01-29', 100], ['2026-01-28', 300], ['2026-01-28', 300]]);
+  assert.deepEqual(WordishGameLog.mergeLogs(merged, b), merged);
+});
+
+test('fromLegacy turns attempts-only dates into their first and best runs', () => {
+  const events = WordishGameLog.fromLegacy(null, {
+    '2026-01-28': { first: { moves: 5, waste: 40, won: true, time: 90000 }, best: { moves: 3, waste: 10, hints: 2 }, hadStarIngredient: true, bestTime: 60000 },
+    '2026-01-29': { first: { moves: 4, waste: 0, won: true }, best: { moves: 4, waste: 0 } }
+  });
+  assert.deepEqual(events.map((e) => [e.date, e.replay, e.moves, e.hints || 0, e.timeMs || null]), [
+    ['2026-01-28', false, 5, 0, 90000], ['2026-01-28', true, 3, 2, 60000], ['2026-01-29', false, 4, 0, null]
+  ]);
+  assert.deepEqual(events[1].stars, { complete: true, elegant: true, flavorful: true, skillful: false });
+});
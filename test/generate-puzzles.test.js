@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const FILES = ['rules.js', 'solver.js', 'foods.json', 'foods-blocked.json', 'puzzles.json',
+  'scripts/generate-puzzles.js', 'scripts/validate-puzzles.js', 'scripts/wordish-puzzles.csv'];
+
+// A copy of the scripts and data to run them against, so puzzles.json here is left alone
+function copyTree() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wordish-'));
+  fs.mkdirSync(path.join(dir, 'scripts'));
+  for (const file of FILES) fs.copyFileSync(path.join(ROOT, file), path.join(dir, file));
+  return dir;
+}
+
+function runScript(dir, script, args, today) {
+  return execFileSync(process.execPath, [path.join(dir, 'scripts', script), ...args], {
+    env: Object.assign({}, process.env, { TODAY: today }),
+    encoding: 'utf8'
+  });
+}
+
+test('appending to a lapsed calendar starts tomorrow and still validates', () => {
+  const dir = copyTree();
+  try {
+    const before = JSON.parse(fs.readFileSync(path.join(dir, 'puzzles.json'), 'utf8'));
+    const lastDate = before[before.length - 1].date;
+    const today = '2030-01-01';
+    assert.ok(lastDate < today);
+
+    runScript(dir, 'generate-puzzles.js', ['--append', '2'], today);
+    const after = JSON.parse(fs.readFileSync(path.join(dir, 'puzzles.json'), 'utf8'));
+    assert.deepEqual(after.slice(0, before.length), before);
+    assert.deepEqual(after.slice(before.length).map((p) => p.date), ['2030-01-02', '2030-01-03']);
+
+    const output = runScript(dir, 'validate-puzzles.js', ['--no-solve', '--verbose'], today);
+    assert.match(output, /gap in dates: previous puzzle is /);
+    assert.match(output, /OK: \d+ puzzles valid/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,187 @@
+/**
+ * Loads rules.js, solver.js, hints.js + game.js into a Node vm context with a fake localStorage and a
+ * minimal document stand-in, so game.js functions can be called without a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+class FakeStorage {
+  constructor(entries) {
+    this.map = new Map(Object.entries(entries || {}));
+  }
+  get length() {
+    return this.map.size;
+  }
+  key(i) {
+    return [...this.map.keys()][i] ?? null;
+  }
+  getItem(key) {
+    return this.map.has(key) ? this.map.get(key) : null;
+  }
+  setItem(key, value) {
+    this.map.set(key, String(value));
+  }
+  removeItem(key) {
+    this.map.delete(key);
+  }
+  clear() {
+    this.map.clear();
+  }
+}
+
+class FakeClassList {
+  constructor() {
+    this.set = new Set();
+  }
+  add(...names) {
+    names.forEach((n) => this.set.add(n));
+  }
+  remove(...names) {
+    names.forEach((n) => this.set.delete(n));
+  }
+  toggle(name, force) {
+    const on = force === undefined ? !this.set.has(name) : !!force;
+    if (on) this.set.add(name);
+    else this.set.delete(name);
+    return on;
+  }
+  contains(name) {
+    return this.set.has(name);
+  }
+}
+
+class FakeElement {
+  constructor(id) {
+    this.id = id || '';
+    this.style = {};
+    this.dataset = {};
+    this.classList = new FakeClassList();
+    this.attributes = {};
+    this.children = [];
+    this.textContent = '';
+    this.innerHTML = '';
+    this.value = '';
+    this.disabled = false;
+    this.hidden = false;
+  }
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+  hasAttribute(name) {
+    return name in this.attributes;
+  }
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+  replaceChild(newChild, oldChild) {
+    const i = this.children.indexOf(oldChild);
+    if (i >= 0) this.children[i] = newChild;
+    return oldChild;
+  }
+  replaceChildren(...nodes) {
+    this.children = nodes;
+  }
+  get lastElementChild() {
+    return this.children[this.children.length - 1] || null;
+  }
+  addEventListener() {}
+  removeEventListener() {}
+  querySelector() {
+    return null;
+  }
+  querySelectorAll() {
+    return [];
+  }
+  scrollIntoView() {}
+  focus() {}
+  blur() {}
+}
+
+function createDocument() {
+  const elements = new Map();
+  return {
+    documentElement: new FakeElement('html'),
+    body: new FakeElement('body'),
+    getElementById(id) {
+      if (!elements.has(id)) elements.set(id, new FakeElement(id));
+      return elements.get(id);
+    },
+    createElement(tag) {
+      return new FakeElement(tag);
+    },
+    querySelector() {
+      return null;
+    },
+    querySelectorAll() {
+      return [];
+    },
+    addEventListener() {},
+    removeEventListener() {}
+  };
+}
+
+/**
+ * Returns a vm context with the game loaded. `storage` seeds localStorage.
+ * ctx.run(code) evaluates code inside the game scope (for `let` globals like gameState);
+ * ctx.get(code) does the same but returns a plain copy, safe for assert.deepStrictEqual.
+ */
+function loadGame(storage) {
+  const localStorage = new FakeStorage(storage);
+  const document = createDocument();
+  const window = { matchMedia: () => ({ matches: false }) };
+  const sandbox = {
+    console,
+    URL,
+    localStorage,
+    document,
+    window,
+    navigator: {},
+    // Timers fire on the next microtask so animated code paths (sleep, reveals) finish quickly.
+    setTimeout: (fn) => {
+      Promise.resolve().then(fn);
+      return 0;
+    },
+    clearTimeout: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {},
+    requestAnimationFrame: () => 0,
+    fetch: () => Promise.reject(new Error('fetch is not available in tests'))
+  };
+  sandbox.self = sandbox;
+  const ctx = vm.createContext(sandbox);
+  for (const file of ['rules.js', 'solver.js', 'hints.js', 'pantry.js', 'practice.js', 'gamelog.js', 'achievements.js', 'profile.js', 'storage.js', 'migrations.js', 'charts.js', 'game.js']) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, ctx, { filename: file });
+  }
+  ctx.run = (code) => vm.runInContext(code, ctx);
+  ctx.get = (code) => {
+    const value = ctx.run(code);
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  };
+  ctx.setGameState = (state) => {
+    ctx.__nextState = state;
+    vm.runInContext('gameState = __nextState', ctx);
+  };
+  return ctx;
+}
+
+// Build a history item from an ingredient and the statuses of its letters ('adj' | 'noun' | 'plain').
+function historyItem(ingredient, statuses) {
+  return {
+    ingredient,
+    result: ingredient.split('').map((letter, i) => ({ letter, status: statuses[i] || 'plain' }))
+  };
+}
+
+module.exports = { loadGame, historyItem, FakeStorage };
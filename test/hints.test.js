@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishRules = require('../rules');
+const WordishHints = require('../hints');
+
+const HOT_PIE = { date: 'x', adjectives: ['HOT'], noun: 'PIE' };
+const FOODS = ['KALE', 'PITA', 'PHOTO', 'PIE', 'RUM', 'TOFU', 'FIG', 'TIE'];
+
+test('countUsefulFoods counts valid foods that match a remaining letter', () => {
+  const state = WordishRules.createState(HOT_PIE);
+  // PIE is the dish and RUM matches nothing
+  assert.equal(WordishHints.countUsefulFoods(state, FOODS), 6);
+  assert.equal(WordishHints.countUsefulFoods(state, FOODS, ['TOFU']), 5);
+
+  const next = WordishRules.applyIngredient(state, 'PHOTO').state;
+  // PHOTO is used and only I, E are left: KALE, PITA, FIG and TIE still help, TOFU no longer does
+  assert.equal(WordishHints.countUsefulFoods(next, FOODS), 4);
+});
+
+test('getTargetLetter picks the remaining letter the fewest useful foods contain', () => {
+  const state = WordishRules.createState(HOT_PIE);
+  assert.equal(WordishHints.getTargetLetter(state, FOODS), 'H');
+  const done = Object.assign({}, state, { remainingAdjectives: [''], remainingNoun: '' });
+  assert.equal(WordishHints.getTargetLetter(done, FOODS), null);
+});
+
+test('suggestIngredient follows the best finish, else the food clearing the most letters', () => {
+  const state = WordishRules.createState(HOT_PIE);
+  // PHOTO + TIE is the only two-ingredient finish
+  assert.ok(['PHOTO', 'TIE'].includes(WordishHints.suggestIngredient(state, FOODS)));
+
+  const lastMove = Object.assign({}, state, { moves: 4 });
+  assert.equal(WordishHints.suggestIngredient(lastMove, FOODS), 'PHOTO');
+  assert.equal(WordishHints.suggestIngredient(state, ['RUM']), null);
+});
+
+test('getHints only computes the tiers asked for', () => {
+  const state = WordishRules.createState(HOT_PIE);
+  assert.deepEqual(WordishHints.getHints(state, FOODS, [], 0), {});
+  assert.deepEqual(Object.keys(WordishHints.getHints(state, FOODS, [], 2)), ['usefulCount', 'letter']);
+  assert.equal(WordishHints.getHints(state, FOODS, [], 9).ingredient !== undefined, true);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishMigrations = require('../migrations');
+const WordishGameLog = require('../gamelog');
+const WordishStorage = require('../storage');
+const { FakeStorage, historyItem } = require('./helpers/game-context');
+
+const { KEYS } = WordishStorage;
+const NOW = Date.UTC(2026, 1, 1);
+
+function backend(entries) {
+  return WordishStorage.createLocalBackend(new FakeStorage(entries));
+}
+
+function read(b, key) {
+  return JSON.parse(b.getItem(key));
+}
+
+test('migrations are in version order and end at SCHEMA_VERSION', () => {
+  const versions = WordishMigrations.MIGRATIONS.map((m) => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(versions[versions.length - 1], WordishMigrations.SCHEMA_VERSION);
+});
+
+test('an unversioned store is upgraded in place and stamped with the schema version', () => {
+  const b = backend({
+    'dish_of_the_day_2026-01-28': JSON.stringify({ remainingAdjective: 'PPELIG', remainingNoun: 'CNOLI', history: [] }),
+    'dish_of_the_day_2026-01-29': JSON.stringify({ remainingAdjective: '', history: [] })
+  });
+  assert.deepEqual(WordishMigrations.runMigrations(b, { now: NOW }), { from: 0, to: WordishMigrations.SCHEMA_VERSION, quarantined: 0 });
+  assert.deepEqual(read(b, 'dish_of_the_day_2026-01-28'), { remainingNoun: 'CNOLI', history: [], remainingAdjectives: ['PPELIG'] });
+  assert.deepEqual(read(b, 'dish_of_the_day_2026-01-29'), { history: [] });
+  assert.equal(WordishMigrations.getSchemaVersion(b), WordishMigrations.SCHEMA_VERSION);
+
+  // Nothing left to do on the next load
+  assert.equal(WordishMigrations.runMigrations(b).to, WordishMigrations.SCHEMA_VERSION);
+});
+
+test('unreadable entries are quarantined instead of dropped', () => {
+  const b = backend({
+    'dish_of_the_day_2026-01-28': '{"history":',
+    [KEYS.attempts]: JSON.stringify({
+      '2026-01-29': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 }, hadStarIngredient: false },
+      '2026-01-30': { first: 'won' }
+    }),
+    [KEYS.stats]: JSON.stringify({ games: [{ date: '2026-01-29', won: true, moves: 3 }, { won: 'yes' }] }),
+    [KEYS.practiceStats]: '[]'
+  });
+  const result = WordishMigrations.runMigrations(b, { now: NOW });
+  assert.equal(result.quarantined, 4);
+  assert.equal(b.getItem('dish_of_the_day_2026-01-28'), null);
+  assert.equal(b.getItem(KEYS.practiceStats), null);
+  assert.deepEqual(read(b, KEYS.log).events.map((e) => e.date), ['2026-01-29']);
+  assert.deepEqual(WordishMigrations.getQuarantine(b).map((q) => [q.key, q.reason]), [
+    ['dish_of_the_day_2026-01-28', 'not valid JSON'],
+    [KEYS.attempts, 'unreadable attempt'],
+    [KEYS.stats, 'unreadable game'],
+    [KEYS.practiceStats, 'not a practice stats record']
+  ]);
+  assert.equal(WordishMigrations.getQuarantine(b)[0].value, '{"history":');
+  assert.equal(WordishMigrations.getQuarantine(b)[0].at, '2026-02-01T00:00:00.000Z');
+});
+
+test('the quarantine keeps only the newest MAX_QUARANTINED entries', () => {
+  const b = backend();
+  for (let i = 0; i < WordishMigrations.MAX_QUARANTINED + 2; i++) WordishMigrations.quarantine(b, `key${i}`, 'x', 'bad', NOW);
+  const list = WordishMigrations.getQuarantine(b);
+  assert.equal(list.length, WordishMigrations.MAX_QUARANTINED);
+  assert.equal(list[0].key, 'key2');
+});
+
+test('attempts from before hadStarIngredient was stored get it from the saved game', () => {
+  const star = historyItem('APPLE', ['adj', 'adj', 'adj', 'adj', 'plain']);
+  const b = backend({
+    [KEYS.attempts]: JSON.stringify({
+      '2026-01-28': { first: { moves: 1, waste: 20, won: true }, best: { moves: 1, waste: 20 } },
+      '2026-01-29': { first: { moves: 1, waste: 20, won: true }, best: { moves: 1, waste: 20 } },
+      '2026-01-30': { first: { moves: 1, waste: 20, won: true }, best: { moves: 1, waste: 20 } }
+    }),
+    'dish_of_the_day_2026-01-28': JSON.stringify({ history: [star] }),
+    'dish_of_the_day_2026-01-29': JSON.stringify({ history: [star] })
+  });
+  WordishMigrations.runMigrations(b, { getLimits: (date) => ({ starMatchThreshold: date === '2026-01-28' ? 4 : 5 }) });
+  const summary = WordishGameLog.summarize(read(b, KEYS.log).events);
+  assert.equal(summary['2026-01-28'].hadStarIngredient, true);
+  assert.equal(summary['2026-01-29'].hadStarIngredient, false);
+  assert.equal(summary['2026-01-30'].hadStarIngredient, false);
+});
+
+test('stats and attempts move into the game log once, replays marked', () => {
+  const attempts = {
+    '2026-01-28': { first: { moves: 5, waste: 40, won: true }, best: { moves: 3, waste: 10 }, hadStarIngredient: true },
+    '2026-01-29': { first: { moves: 4, waste: 0, won: true }, best: { moves: 4, waste: 0 } }
+  };
+  const stats = { games: [{ date: '2026-01-28', won: true, moves: 5, wastePercent: 40 }, { date: '2026-01-28', won: true, moves: 3, wastePercent: 10, hardMode: true }] };
+  const b = backend({ [KEYS.attempts]: JSON.stringify(attempts), [KEYS.stats]: JSON.stringify(stats) });
+  WordishMigrations.runMigrations(b);
+  assert.equal(b.getItem(KEYS.attempts), null);
+  assert.equal(b.getItem(KEYS.stats), null);
+  const events = read(b, KEYS.log).events;
+  assert.deepEqual(events.map((e) => [e.date, e.replay, e.mode]), [
+    ['2026-01-28', false, 'standard'], ['2026-01-28', true, 'hard'], ['2026-01-29', false, 'standard']
+  ]);
+  assert.equal(events[1].stars.flavorful, true);
+
+  // The same legacy progress arriving again (an older device syncing) adds nothing
+  b.setItem(KEYS.attempts, JSON.stringify(attempts));
+  b.setItem(KEYS.stats, JSON.stringify(stats));
+  WordishMigrations.runMigrations(b, { from: 0 });
+  assert.equal(read(b, KEYS.log).events.length, 3);
+});
+
+test('storage from a newer game is left alone, and from = 0 runs every step again', () => {
+  const legacy = JSON.stringify({ remainingAdjective: 'PPELIG', history: [] });
+  const newer = backend({ [KEYS.schema]: String(WordishMigrations.SCHEMA_VERSION + 1), 'dish_of_the_day_2026-01-28': legacy });
+  assert.equal(WordishMigrations.runMigrations(newer).to, WordishMigrations.SCHEMA_VERSION + 1);
+  assert.equal(newer.getItem('dish_of_the_day_2026-01-28'), legacy);
+
+  const current = backend({ [KEYS.schema]: String(WordishMigrations.SCHEMA_VERSION), 'dish_of_the_day_2026-01-28': legacy });
+  WordishMigrations.runMigrations(current);
+  assert.equal(current.getItem('dish_of_the_day_2026-01-28'), legacy);
+  WordishMigrations.runMigrations(current, { from: 0 });
+  assert.deepEqual(read(current, 'dish_of_the_day_2026-01-28').remainingAdjectives, ['PPELIG']);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishPantry = require('../pantry');
+const { historyItem } = require('./helpers/game-context');
+
+const PHOTO = historyItem('PHOTO', ['noun', 'adj', 'adj', 'adj', 'plain']);
+const KALE = historyItem('KALE', ['plain', 'plain', 'plain', 'noun']);
+const TIE = historyItem('TIE', ['noun', 'noun', 'noun']);
+
+test('buildPantry counts uses and letters matched per ingredient', () => {
+  const pantry = WordishPantry.buildPantry([
+    { date: '2026-03-02', history: [KALE, TIE] },
+    { date: '2026-03-01', history: [PHOTO, KALE] }
+  ]);
+  assert.deepEqual(pantry.ingredients, [
+    { ingredient: 'KALE', count: 2, averageMatched: 1 },
+    { ingredient: 'PHOTO', count: 1, averageMatched: 4 },
+    { ingredient: 'TIE', count: 1, averageMatched: 3 }
+  ]);
+  assert.equal(pantry.totalUsed, 4);
+  assert.equal(pantry.averageMatched, 2.3);
+  assert.deepEqual(pantry.best, { ingredient: 'PHOTO', matches: 4, date: '2026-03-01' });
+});
+
+test('buildPantry keeps the earliest best ingredient on ties and counts rejected ones by day', () => {
+  const pantry = WordishPantry.buildPantry([
+    { date: '2026-03-03', history: [TIE], rejected: ['PIZZAZZ', 'FOO', 'FOO'] },
+    { date: '2026-03-02', history: [TIE], rejected: ['FOO', '<b>'] },
+    null,
+    { date: '2026-03-04', history: 'broken' }
+  ]);
+  assert.deepEqual(pantry.best, { ingredient: 'TIE', matches: 3, date: '2026-03-02' });
+  assert.deepEqual(pantry.rejected, [{ ingredient: 'FOO', count: 2 }, { ingredient: 'PIZZAZZ', count: 1 }]);
+});
+
+test('an empty pantry', () => {
+  assert.deepEqual(WordishPantry.buildPantry([]), { ingredients: [], totalUsed: 0, averageMatched: 0, best: null, rejected: [] });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishPractice = require('../practice');
+
+const WORDS = { adjectives: ['HOT', 'KALE'], nouns: ['PIE'] };
+const FOODS = ['KALE', 'PHOTO', 'PITA'];
+
+// Deterministic stand-in for Math.random: cycles through the given values
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+test('createPracticePuzzle serves a solvable random dish, never an adjective that is a food', () => {
+  const puzzle = WordishPractice.createPracticePuzzle(WORDS, FOODS, { random: sequence(0.9, 0) });
+  assert.deepEqual(puzzle, { date: WordishPractice.PRACTICE_DATE, practice: true, adjectives: ['HOT'], noun: 'PIE' });
+});
+
+test('createPracticePuzzle skips avoided pairs and gives up on unsolvable pools', () => {
+  const avoid = new Set([WordishPractice.pairKey('HOT', 'PIE')]);
+  assert.equal(WordishPractice.createPracticePuzzle(WORDS, FOODS, { avoid }), null);
+  assert.equal(WordishPractice.createPracticePuzzle(WORDS, ['KALE'], {}), null);
+  assert.equal(WordishPractice.createPracticePuzzle({ adjectives: [], nouns: ['PIE'] }, FOODS, {}), null);
+});
+
+test('recordPracticeResult tracks wins, streaks, moves and stars', () => {
+  let stats = WordishPractice.recordPracticeResult(null, { isWon: true, moves: 3 }, 2);
+  stats = WordishPractice.recordPracticeResult(stats, { isWon: true, moves: 4 }, 1);
+  stats = WordishPractice.recordPracticeResult(stats, { isWon: false, moves: 5 }, 0);
+  stats = WordishPractice.recordPracticeResult(stats, { isWon: true, moves: 2 }, 4);
+  assert.deepEqual(stats, { played: 4, won: 3, streak: 1, maxStreak: 2, winMoves: 9, stars: 7 });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishProfile = require('../profile');
+
+function profileText(fields) {
+  return JSON.stringify(Object.assign({ format: WordishProfile.PROFILE_FORMAT, version: WordishProfile.PROFILE_VERSION }, fields));
+}
+
+test('parseProfile rejects files that are not current wordish profiles', () => {
+  assert.equal(WordishProfile.parseProfile('not json').ok, false);
+  assert.equal(WordishProfile.parseProfile('{"format":"other","version":1}').ok, false);
+  assert.equal(WordishProfile.parseProfile(profileText({ version: WordishProfile.PROFILE_VERSION + 1 })).error,
+    'That profile was made by a newer version of wordish. Reload the game and try again.');
+});
+
+test('parseProfile keeps well-formed entries and counts the rest as skipped', () => {
+  const parsed = WordishProfile.parseProfile(profileText({
+    stats: { games: [{ date: '2026-01-28', won: true, moves: 3 }, { date: 'yesterday', won: true }] },
+    attempts: {
+      '2026-01-28': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 } },
+      '2026-01-29': { first: 'lost' }
+    },
+    saves: { '2026-01-28': { history: [] }, '2026-01-29': null },
+    settings: { darkMode: true, hardMode: 'yes' }
+  }));
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.skipped, 3);
+  assert.deepEqual(Object.keys(parsed.snapshot.attempts), ['2026-01-28']);
+  assert.equal(parsed.snapshot.stats.games.length, 1);
+  assert.deepEqual(parsed.snapshot.settings, { darkMode: true });
+});
+
+test('createProfile round-trips through parseProfile', () => {
+  const snapshot = {
+    log: { events: [{ date: '2026-01-29', at: 1769680800000, replay: false, won: true, moves: 4, waste: 0,
+      stars: { complete: true, elegant: false, flavorful: false, skillful: true }, mode: 'hard', timeMs: 61000 }] },
+    stats: { games: [{ date: '2026-01-28', won: true, moves: 3, wastePercent: 10 }] },
+    attempts: { '2026-01-28': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 }, hadStarIngredient: true } },
+    practiceStats: { played: 2, won: 1 },
+    saves: { '2026-01-28': { history: [], isWon: true } },
+    settings: { darkMode: false, hardMode: true, preview: false, speedRun: false }
+  };
+  const profile = WordishProfile.createProfile(snapshot, '2026-01-28T10:00:00.000Z');
+  assert.equal(profile.exportedAt, '2026-01-28T10:00:00.000Z');
+  assert.deepEqual(WordishProfile.parseProfile(JSON.stringify(profile)), { ok: true, snapshot, skipped: 0 });
+});
+
+test('mergeSnapshots keeps the better best run, this device\'s first run and the fastest time', () => {
+  const merged = WordishProfile.mergeSnapshots({
+    attempts: { '2026-01-28': { first: { moves: 5, waste: 40, won: true }, best: { moves: 5, waste: 40 }, hadStarIngredient: false, bestTime: 90000 } }
+  }, {
+    attempts: {
+      '2026-01-28': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 }, hadStarIngredient: true, bestTime: 120000 },
+      '2026-01-29': { first: { moves: 4, waste: 0, won: true }, best: { moves: 4, waste: 0 } }
+    }
+  });
+  assert.deepEqual(merged.attempts['2026-01-28'], {
+    first: { moves: 5, waste: 40, won: true }, best: { moves: 3, waste: 10 }, hadStarIngredient: true, bestTime: 90000
+  });
+  assert.ok(merged.attempts['2026-01-29']);
+});
+
+test('mergeSnapshots combines games without duplicates and prefers finished saves', () => {
+  const game = { date: '2026-01-28', won: true, moves: 3, wastePercent: 10 };
+  const merged = WordishProfile.mergeSnapshots({
+    stats: { games: [game] },
+    saves: { '2026-01-28': { history: [1], isWon: false }, '2026-01-29': { history: [1, 2], isLost: true } },
+    practiceStats: { played: 3 },
+    settings: { darkMode: true }
+  }, {
+    stats: { games: [{ date: '2026-01-27', won: false, moves: 5, wastePercent: 0 }, game] },
+    saves: { '2026-01-28': { history: [1, 2], isWon: true }, '2026-01-29': { history: [], isWon: true } },
+    practiceStats: { played: 5 },
+    settings: { darkMode: false, hardMode: true }
+  });
+  assert.deepEqual(merged.stats.games.map(g => g.date), ['2026-01-27', '2026-01-28']);
+  assert.equal(merged.saves['2026-01-28'].isWon, true);
+  assert.equal(merged.saves['2026-01-29'].isLost, true);
+  assert.deepEqual(merged.practiceStats, { played: 5 });
+  assert.deepEqual(merged.settings, { darkMode: true });
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishRules = require('../rules');
+const { historyItem } = require('./helpers/game-context');
+
+const CANNOLI = { date: '2026-01-28', adjectives: ['APPEALING'], noun: 'CANNOLI' };
+
+function active(word) {
+  return WordishRules.buildActiveFromStates(word.split('').map((char) => ({ char, state: 'active' })));
+}
+
+test('matchOneLetterActive takes the adjective before the noun', () => {
+  const adj = active('APPEALING');
+  const noun = active('CANNOLI');
+  assert.deepEqual(WordishRules.matchOneLetterActive('L', adj, noun), { status: 'adj', lineIndex: 0, indexInLine: 5 });
+  assert.deepEqual(WordishRules.matchOneLetterActive('L', adj, noun), { status: 'noun', lineIndex: 1, indexInLine: 5 });
+  assert.deepEqual(WordishRules.matchOneLetterActive('L', adj, noun), { status: 'plain' });
+  assert.deepEqual(WordishRules.matchOneLetterActive('C', adj, noun), { status: 'noun', lineIndex: 1, indexInLine: 0 });
+});
+
+test('matchOneLetterActive consumes repeated letters left to right', () => {
+  const adj = active('APPEALING');
+  const noun = active('CANNOLI');
+  const positions = ['P', 'P', 'P'].map((l) => WordishRules.matchOneLetterActive(l, adj, noun));
+  assert.deepEqual(positions.map((p) => p.indexInLine), [1, 2, undefined]);
+  assert.deepEqual(adj.chars.join(''), 'AEALING');
+  assert.deepEqual(adj.indices, [0, 3, 4, 5, 6, 7, 8]);
+});
+
+test('matchIngredient reproduces the BANANA help example', () => {
+  const { result, remainingAdjectives, remainingNoun } = WordishRules.matchIngredient(WordishRules.createState(CANNOLI), 'BANANA');
+  assert.deepEqual(result.map((r) => r.status), ['plain', 'adj', 'adj', 'adj', 'noun', 'noun']);
+  assert.deepEqual(result.filter((r) => r.status === 'adj').map((r) => r.indexInLine), [0, 7, 4]);
+  assert.deepEqual(result.filter((r) => r.status === 'noun').map((r) => r.indexInLine), [2, 1]);
+  assert.deepEqual(remainingAdjectives, ['PPELIG']);
+  assert.equal(remainingNoun, 'CNOLI');
+});
+
+test('applyIngredient does not mutate the previous state and skips matched positions', () => {
+  const start = WordishRules.createState(CANNOLI);
+  const first = WordishRules.applyIngredient(start, 'banana');
+  assert.equal(start.moves, 0);
+  assert.equal(start.history.length, 0);
+  assert.equal(first.state.moves, 1);
+  assert.equal(first.state.history[0].ingredient, 'BANANA');
+
+  const second = WordishRules.applyIngredient(first.state, 'ANISE');
+  assert.deepEqual(second.result.map((r) => r.status), ['plain', 'noun', 'adj', 'plain', 'adj']);
+  assert.deepEqual(second.result[1], { letter: 'N', status: 'noun', lineIndex: 1, indexInLine: 3 });
+});
+
+test('applyIngredient sets win, elegance and loss', () => {
+  let state = WordishRules.createState({ date: 'x', adjectives: ['HOT'], noun: 'PIE' });
+  state = WordishRules.applyIngredient(state, 'HOTPIE').state;
+  assert.equal(state.isWon, true);
+  assert.equal(state.isElegant, true);
+
+  state = WordishRules.createState({ date: 'x', adjectives: ['HOT'], noun: 'PIE' });
+  for (const food of ['KALE', 'RUM', 'BASIL', 'CUMIN']) state = WordishRules.applyIngredient(state, food).state;
+  assert.equal(state.isLost, false);
+  state = WordishRules.applyIngredient(state, 'FIG').state;
+  assert.equal(state.isLost, true);
+  assert.equal(state.isWon, false);
+});
+
+test('shortest rules clear the word with fewer letters left, greedy rules go adj → noun', () => {
+  const greedy = WordishRules.matchIngredient(WordishRules.createState(CANNOLI), 'BANANA');
+  const shortestState = WordishRules.createState(Object.assign({ rules: 'shortest' }, CANNOLI));
+  assert.equal(shortestState.rules, 'shortest');
+  assert.equal(WordishRules.createState(Object.assign({ rules: 'bogus' }, CANNOLI)).rules, 'greedy');
+  const shortest = WordishRules.matchIngredient(shortestState, 'BANANA');
+  const positions = (m) => m.result.filter((r) => r.status !== 'plain').map((r) => `${r.lineIndex},${r.indexInLine}`);
+  assert.deepEqual(positions(greedy), ['0,0', '0,7', '0,4', '1,2', '1,1']);
+  assert.deepEqual(positions(shortest), ['1,1', '1,2', '0,0', '1,3', '0,4']);
+  // Either way the same letters are left to find
+  const left = (m) => (m.remainingAdjectives.join('') + m.remainingNoun).split('').sort().join('');
+  assert.equal(left(shortest), left(greedy));
+});
+
+test('multi-adjective dishes match every adjective line before the noun', () => {
+  const puzzle = { date: 'x', adjectives: ['SPICY', 'CRISPY', 'HOT', 'EXTRA'], noun: 'TOFU' };
+  assert.deepEqual(WordishRules.getPuzzleAdjectives(puzzle), ['SPICY', 'CRISPY', 'HOT']);
+  let state = WordishRules.createState(puzzle);
+  assert.deepEqual(WordishRules.getDishLines(state), ['SPICY', 'CRISPY', 'HOT', 'TOFU']);
+
+  const first = WordishRules.applyIngredient(state, 'PICO');
+  assert.deepEqual(first.result.map((r) => `${r.status}${r.lineIndex},${r.indexInLine}`),
+    ['adj0,1', 'adj0,2', 'adj0,3', 'adj2,1']);
+  assert.deepEqual(first.state.remainingAdjectives, ['SY', 'CRISPY', 'HT']);
+  assert.equal(first.state.remainingNoun, 'TOFU');
+  assert.deepEqual(WordishRules.getLetterStates(first.state).map((line) => line.filter((l) => l.state === 'matched').length), [3, 0, 1, 0]);
+
+  state = first.state;
+  for (const food of ['CRISPY', 'SHY', 'TOFU']) state = WordishRules.applyIngredient(state, food).state;
+  assert.deepEqual(state.remainingAdjectives, ['', '', '']);
+  assert.equal(state.remainingNoun, 'T'); // HOT took TOFU's T first
+  state = WordishRules.applyIngredient(state, 'TEA').state;
+  assert.equal(state.isWon, true);
+});
+
+test('shortest rules pick the shortest remaining line among several adjectives', () => {
+  const state = WordishRules.createState({ date: 'x', adjectives: ['SPICY', 'CRISPY'], noun: 'PIE', rules: 'shortest' });
+  const { result } = WordishRules.matchIngredient(state, 'PIPS');
+  assert.deepEqual(result.map((r) => `${r.status}${r.lineIndex},${r.indexInLine}`),
+    ['noun2,0', 'noun2,1', 'adj0,1', 'adj0,0']);
+});
+
+test('getPuzzleLimits applies per-puzzle overrides to moves and stars', () => {
+  assert.deepEqual(WordishRules.getPuzzleLimits({}), { maxMoves: 5, elegantMaxMoves: 3, starMatchThreshold: 6 });
+  assert.deepEqual(WordishRules.getPuzzleLimits({ maxMoves: 2, elegantMaxMoves: 0, starMatchThreshold: 'x' }),
+    { maxMoves: 2, elegantMaxMoves: 2, starMatchThreshold: 6 });
+
+  const puzzle = { date: 'x', adjectives: ['HOT'], noun: 'PIE', maxMoves: 6, elegantMaxMoves: 4, starMatchThreshold: 3 };
+  let state = WordishRules.createState(puzzle);
+  for (const food of ['KALE', 'RUM', 'BASIL', 'CUMIN', 'FIG']) state = WordishRules.applyIngredient(state, food).state;
+  assert.equal(state.isLost, false);
+  state = WordishRules.applyIngredient(state, 'TOFU').state;
+  assert.equal(state.isLost, true);
+
+  state = WordishRules.createState(puzzle);
+  for (const food of ['KALE', 'FIG', 'RUM', 'PHOTO']) state = WordishRules.applyIngredient(state, food).state;
+  assert.equal(state.isWon, true);
+  assert.equal(state.isElegant, true);
+  // PHOTO matched P, H, O, T: enough for this puzzle's 3-letter star threshold
+  assert.equal(WordishRules.getStars(state).flavorful, true);
+  assert.equal(WordishRules.hadStarIngredient(state.history), false);
+});
+
+test('undoLastIngredient replays the rest of history and keeps run flags', () => {
+  const start = Object.assign(WordishRules.createState(CANNOLI), { hintsUsed: 1 });
+  const one = WordishRules.applyIngredient(start, 'BANANA').state;
+  const two = WordishRules.applyIngredient(one, 'ANISE').state;
+  const undone = WordishRules.undoLastIngredient(two);
+  assert.deepEqual(undone, one);
+  assert.equal(two.history.length, 2);
+  assert.deepEqual(WordishRules.undoLastIngredient(undone), start);
+});
+
+test('validateIngredient reports each rejection reason', () => {
+  const state = WordishRules.applyIngredient(WordishRules.createState(CANNOLI), 'BANANA').state;
+  const foods = { allowed: new Set(['BANANA', 'BEEF', 'KALE']), blocked: new Set(['BEEF']) };
+  assert.deepEqual(WordishRules.validateIngredient(state, 'WORCESTERSHIRE', foods), { ok: false, reason: 'too_long' });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'A', foods), { ok: false, reason: 'invalid' });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'banana', foods), { ok: false, reason: 'duplicate' });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'CANNOLI', foods), { ok: false, reason: 'dish' });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'BEEF', foods), { ok: false, reason: 'blocked' });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'TOFU', foods), { ok: false, reason: 'unknown' });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'KALE', foods), { ok: true });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'TOFU', { allowed: null }), { ok: true });
+});
+
+test('validateIngredient in hard mode needs enough matches, capped at the letters left', () => {
+  let state = Object.assign(WordishRules.createState({ date: 'x', adjectives: ['HOT'], noun: 'PIE' }), { hardMode: true });
+  assert.equal(WordishRules.getRequiredMatches(state), WordishRules.HARD_MODE_MIN_MATCHES);
+  assert.deepEqual(WordishRules.validateIngredient(state, 'KALE', { allowed: null }), { ok: false, reason: 'too_few_matches', required: 3 });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'PHOTO', { allowed: null }), { ok: true });
+
+  state = WordishRules.applyIngredient(state, 'PHOTO').state; // I, E left
+  assert.equal(WordishRules.getRequiredMatches(state), 2);
+  assert.deepEqual(WordishRules.validateIngredient(state, 'FIG', { allowed: null }), { ok: false, reason: 'too_few_matches', required: 2 });
+  assert.deepEqual(WordishRules.validateIngredient(state, 'TIE', { allowed: null }), { ok: true });
+  assert.equal(WordishRules.getRequiredMatches(Object.assign({}, state, { hardMode: false })), 1);
+});
+
+test('getWastePercent rounds unmatched letters over letters used', () => {
+  assert.equal(WordishRules.getWastePercent([]), 0);
+  const history = [
+    historyItem('BANANA', ['plain', 'adj', 'adj', 'adj', 'noun', 'noun']),
+    historyItem('FIG', ['plain', 'adj', 'adj'])
+  ];
+  assert.equal(WordishRules.getWastePercent(history), 22); // 2 of 9
+});
+
+test('getStars awards each star independently', () => {
+  const history = [
+    historyItem('ANGELICA', ['adj', 'adj', 'adj', 'adj', 'adj', 'adj', 'noun', 'plain']),
+    historyItem('LEMON', ['adj', 'plain', 'plain', 'noun', 'noun'])
+  ];
+  assert.deepEqual(WordishRules.getStars({ isWon: false, isElegant: false, history }), {
+    complete: false, elegant: false, flavorful: false, skillful: false
+  });
+  assert.deepEqual(WordishRules.getStars({ isWon: true, isElegant: true, history }), {
+    complete: true, elegant: true, flavorful: true, skillful: true
+  });
+  history.push(historyItem('KIWI', ['plain', 'plain', 'plain', 'adj']));
+  assert.deepEqual(WordishRules.getStars({ isWon: true, isElegant: true, history }), {
+    complete: true, elegant: true, flavorful: true, skillful: false
+  });
+});
+
+test('getStars withholds the skillful star when hints were used', () => {
+  const history = [
+    historyItem('ANGELICA', ['adj', 'adj', 'adj', 'adj', 'adj', 'adj', 'noun', 'plain']),
+    historyItem('LEMON', ['adj', 'plain', 'plain', 'noun', 'noun'])
+  ];
+  assert.deepEqual(WordishRules.getStars({ isWon: true, isElegant: true, hintsUsed: 1, history }), {
+    complete: true, elegant: true, flavorful: true, skillful: false
+  });
+});
+
+test('isBetterRun prefers fewer ingredients, then less waste', () => {
+  assert.equal(WordishRules.isBetterRun(3, 40, 4, 0), true);
+  assert.equal(WordishRules.isBetterRun(3, 10, 3, 20), true);
+  assert.equal(WordishRules.isBetterRun(3, 20, 3, 20), false);
+  assert.equal(WordishRules.isBetterRun(4, 0, 3, 40), false);
+});
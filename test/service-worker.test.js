@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SHELL_URLS, DATA_URLS } = require('../sw');
+
+const ROOT = path.join(__dirname, '..');
+
+// Local src/href values in index.html (skips external URLs and preconnects)
+function localAssets() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const urls = [...html.matchAll(/(?:src|href)="([^"]+)"/g)].map((m) => m[1]);
+  return [...new Set(urls.filter((url) => !/^(https?:)?\/\//.test(url) && !url.startsWith('#')))];
+}
+
+test('the service worker precaches every asset index.html loads, at the same version', () => {
+  for (const url of localAssets()) {
+    assert.ok(SHELL_URLS.includes(url), `${url} is missing from SHELL_URLS in sw.js`);
+  }
+});
+
+test('every precached file exists', () => {
+  for (const url of SHELL_URLS.concat(DATA_URLS)) {
+    if (url === './') continue;
+    const file = url.split('?')[0];
+    assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} does not exist`);
+  }
+});
+
+test('the web app manifest points at icons that exist', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+  assert.equal(manifest.display, 'standalone');
+  assert.ok(manifest.icons.length > 0);
+  for (const icon of manifest.icons) {
+    assert.ok(fs.existsSync(path.join(ROOT, icon.src.split('?')[0])), `${icon.src} does not exist`);
+  }
+});
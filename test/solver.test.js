@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WordishRules = require('../rules');
+const WordishSolver = require('../solver');
+
+const CANNOLI = { date: '2026-01-28', adjectives: ['APPEALING'], noun: 'CANNOLI' };
+
+test('solvePuzzle finds the fewest-ingredient recipe', () => {
+  const foods = ['KALE', 'PITA', 'PHOTO', 'HOT', 'PIES'];
+  const solution = WordishSolver.solvePuzzle({ date: 'x', adjectives: ['HOT'], noun: 'PIE' }, foods);
+  assert.equal(solution.solvable, true);
+  assert.equal(solution.moves, 2);
+  assert.equal(solution.result.isWon, true);
+});
+
+test('solvePuzzle prefers less waste among recipes with the same move count', () => {
+  const foods = ['HOTS', 'HOTSAUCE', 'PIE', 'PIES'];
+  const solution = WordishSolver.solvePuzzle({ date: 'x', adjectives: ['HOT'], noun: 'PIES' }, foods);
+  assert.deepEqual(solution.recipe.slice().sort(), ['HOTS', 'PIE']);
+  assert.equal(solution.wasteLetters, 0);
+  assert.equal(solution.wastePercent, 0);
+});
+
+test('solvePuzzle never uses the dish noun, blocked foods or the same food twice', () => {
+  const puzzle = { date: 'x', adjectives: ['AA'], noun: 'BB' };
+  assert.equal(WordishSolver.solvePuzzle(puzzle, ['BB', 'AB', 'AA'], { maxMoves: 5 }).solvable, false);
+  assert.equal(WordishSolver.solvePuzzle(puzzle, ['AB', 'AB', 'AABB'], { blocked: ['AABB'] }).solvable, false);
+  assert.deepEqual(WordishSolver.solvePuzzle(puzzle, ['AB', 'BA'], {}).recipe.length, 2);
+});
+
+test('solvePuzzle reports unsolvable dishes within maxMoves', () => {
+  const puzzle = { date: 'x', adjectives: ['ABCDEF'], noun: 'GH' };
+  const foods = ['AB', 'CD', 'EF', 'GHX'];
+  assert.equal(WordishSolver.solvePuzzle(puzzle, foods, { maxMoves: 3 }).solvable, false);
+  const solution = WordishSolver.solvePuzzle(puzzle, foods, { maxMoves: 4 });
+  assert.equal(solution.moves, 4);
+});
+
+test('solvePuzzle recipes replay to a win under the real matching rules', () => {
+  const foods = require('../foods.json');
+  const solution = WordishSolver.solvePuzzle(CANNOLI, foods);
+  assert.equal(solution.solvable, true);
+  let state = WordishRules.createState(CANNOLI);
+  for (const food of solution.recipe) state = WordishRules.applyIngredient(state, food).state;
+  assert.equal(state.isWon, true);
+  assert.equal(state.moves, solution.moves);
+  assert.equal(WordishRules.getWastePercent(state.history), solution.wastePercent);
+});
+
+test('solveState finishes a game in progress without reusing its ingredients', () => {
+  const puzzle = { date: 'x', adjectives: ['HOT'], noun: 'PIE' };
+  const state = WordishRules.applyIngredient(WordishRules.createState(puzzle), 'PHOTO').state;
+  const solution = WordishSolver.solveState(state, ['PHOTO', 'PIE', 'PITA', 'KALE', 'TIE'], {});
+  assert.equal(solution.solvable, true);
+  assert.deepEqual(solution.recipe, ['TIE']);
+  assert.equal(solution.result.isWon, true);
+  assert.equal(solution.result.moves, 2);
+
+  const late = Object.assign({}, state, { moves: 5 });
+  assert.equal(WordishSolver.solveState(late, ['TIE'], {}).solvable, false);
+});
+
+test('solveState only takes hard-mode steps in hard-mode games', () => {
+  const state = WordishRules.createState({ date: 'x', adjectives: ['HOT'], noun: 'PIE' });
+  const foods = ['PHOTO', 'KALE', 'FIG'];
+  assert.equal(WordishSolver.solveState(state, foods, {}).moves, 3);
+  assert.equal(WordishSolver.solveState(Object.assign({}, state, { hardMode: true }), foods, {}).solvable, false);
+  assert.equal(WordishSolver.solveState(Object.assign({}, state, { hardMode: true }), foods.concat(['TIE']), {}).moves, 2);
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const WordishStorage = require('../storage');
+const { FakeStorage } = require('./helpers/game-context');
+
+const { KEYS } = WordishStorage;
+
+// In-memory sync server speaking the storage.js REST protocol. beforePut(server) runs before each PUT
+// is checked, so a test can slip in another device's write.
+async function startServer(options) {
+  const server = { body: null, version: 0, requests: [] };
+  const httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push(req.method);
+      const etag = `"${server.version}"`;
+      if (req.method === 'GET') {
+        if (server.body === null) {
+          res.writeHead(404).end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag }).end(server.body);
+        }
+        return;
+      }
+      if (options && options.beforePut) options.beforePut(server);
+      const current = `"${server.version}"`;
+      const stale = server.body === null
+        ? req.headers['if-none-match'] !== '*'
+        : req.headers['if-match'] !== current;
+      if (stale) {
+        res.writeHead(412).end();
+        return;
+      }
+      server.body = body;
+      server.version++;
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+  server.url = `http://127.0.0.1:${httpServer.address().port}/profile`;
+  server.close = () => new Promise((resolve) => httpServer.close(resolve));
+  return server;
+}
+
+function device(url, entries) {
+  const local = WordishStorage.createLocalBackend(new FakeStorage(entries));
+  return WordishStorage.createRestBackend({ url, local });
+}
+
+function attempts(backend) {
+  return JSON.parse(backend.getItem(KEYS.attempts));
+}
+
+test('the local backend reads, writes and lists keys', () => {
+  const store = new FakeStorage({ [KEYS.darkMode]: '1' });
+  const backend = WordishStorage.createLocalBackend(() => store);
+  backend.setItem(KEYS.stats, '{"games":[]}');
+  backend.removeItem(KEYS.darkMode);
+  assert.deepEqual(backend.keys(), [KEYS.stats]);
+  assert.equal(store.getItem(KEYS.stats), '{"games":[]}');
+});
+
+test('readSnapshot and writeSnapshot keep device-only keys out of a replace', () => {
+  const backend = WordishStorage.createLocalBackend(new FakeStorage({
+    'dish_of_the_day_2026-01-27': '{"history":[]}',
+    [KEYS.helpShown]: '1',
+    [KEYS.syncUrl]: 'https://example.com/profile'
+  }));
+  WordishStorage.writeSnapshot(backend, {
+    log: { events: [] },
+    stats: { games: [] },
+    attempts: {},
+    practiceStats: null,
+    saves: { '2026-01-28': { history: [] } },
+    settings: { hardMode: true }
+  }, true);
+  assert.deepEqual(backend.keys().sort(), [
+    'dish_of_the_day_2026-01-28', KEYS.hardMode, KEYS.helpShown, KEYS.log, KEYS.syncUrl
+  ].sort());
+  const snapshot = WordishStorage.readSnapshot(backend);
+  assert.deepEqual(Object.keys(snapshot.saves), ['2026-01-28']);
+  assert.deepEqual(snapshot.settings, { darkMode: false, hardMode: true, preview: false, speedRun: false });
+});
+
+test('two devices sync through the server, keeping the best run per date', async () => {
+  const server = await startServer();
+  try {
+    const phone = device(server.url, {
+      [KEYS.attempts]: JSON.stringify({ '2026-01-28': { first: { moves: 5, waste: 40, won: true }, best: { moves: 5, waste: 40 } } }),
+      [KEYS.helpShown]: '1'
+    });
+    const laptop = device(server.url, {
+      [KEYS.attempts]: JSON.stringify({
+        '2026-01-28': { first: { moves: 3, waste: 10, won: true }, best: { moves: 3, waste: 10 } },
+        '2026-01-29': { first: { moves: 4, waste: 0, won: true }, best: { moves: 4, waste: 0 } }
+      })
+    });
+
+    assert.deepEqual(await phone.sync(), { ok: true, changed: false });
+    assert.deepEqual(await laptop.sync(), { ok: true, changed: true });
+    assert.deepEqual(await phone.sync(), { ok: true, changed: true });
+
+    // The first run the server saw for a date is kept everywhere
+    const expected = { first: { moves: 5, waste: 40, won: true }, best: { moves: 3, waste: 10 } };
+    assert.deepEqual(attempts(phone)['2026-01-28'], expected);
+    assert.deepEqual(attempts(laptop)['2026-01-28'], expected);
+    assert.ok(attempts(phone)['2026-01-29']);
+    assert.equal(laptop.getItem(KEYS.helpShown), null);
+    assert.equal(phone.hasPendingChanges(), false);
+
+    // Nothing new on either side: the server copy is left alone
+    const puts = server.requests.filter((m) => m === 'PUT').length;
+    assert.deepEqual(await laptop.sync(), { ok: true, changed: false });
+    assert.equal(server.requests.filter((m) => m === 'PUT').length, puts);
+  } finally {
+    await server.close();
+  }
+});
+
+test('synced game logs keep every run once, the same on both devices', async () => {
+  const server = await startServer();
+  const event = (date, at, moves) => ({
+    date, at, replay: false, won: true, moves, waste: 0,
+    stars: { complete: true, elegant: moves <= 3, flavorful: false, skillful: true }, mode: 'standard'
+  });
+  try {
+    const shared = event('2026-01-28', 100, 4);
+    const phone = device(server.url, { [KEYS.log]: JSON.stringify({ events: [shared] }) });
+    const laptop = device(server.url, { [KEYS.log]: JSON.stringify({ events: [shared, Object.assign(event('2026-01-28', 200, 3), { replay: true })] }) });
+    await phone.sync();
+    await laptop.sync();
+    await phone.sync();
+    const log = (backend) => JSON.parse(backend.getItem(KEYS.log)).events;
+    assert.deepEqual(log(phone), log(laptop));
+    assert.deepEqual(log(phone).map((e) => e.at), [100, 200]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a game in progress keeps its save; a fresh device picks up the other device\'s', async () => {
+  const server = await startServer();
+  const save = (moves, extra) => JSON.stringify(Object.assign({ moves, history: Array(moves).fill({ ingredient: 'PEAR' }) }, extra));
+  try {
+    const phone = device(server.url, { 'dish_of_the_day_2026-01-28': save(3), 'dish_of_the_day_2026-01-29': save(1) });
+    const laptop = device(server.url, { 'dish_of_the_day_2026-01-28': save(1), 'dish_of_the_day_2026-01-29': save(4, { isWon: true }) });
+    const tablet = device(server.url, {});
+    await phone.sync();
+    await laptop.sync();
+    await tablet.sync();
+    const moves = (backend, date) => JSON.parse(backend.getItem(`dish_of_the_day_${date}`)).moves;
+    // The laptop's unfinished game stays, and so does the phone's when it syncs again
+    assert.equal(moves(laptop, '2026-01-28'), 1);
+    assert.equal(moves(laptop, '2026-01-29'), 4);
+    await phone.sync();
+    assert.equal(moves(phone, '2026-01-28'), 3);
+    assert.equal(moves(phone, '2026-01-29'), 1);
+    assert.equal(moves(tablet, '2026-01-28'), 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a sync that loses a race with another device starts over from its copy', async () => {
+  let raced = false;
+  const server = await startServer({
+    beforePut(s) {
+      if (raced) return;
+      raced = true;
+      s.body = JSON.stringify({
+        format: 'wordish-profile',
+        version: 1,
+        attempts: { '2026-01-30': { first: { moves: 2, waste: 0, won: true }, best: { moves: 2, waste: 0 } } }
+      });
+      s.version++;
+    }
+  });
+  try {
+    const phone = device(server.url, {
+      [KEYS.attempts]: JSON.stringify({ '2026-01-28': { first: { moves: 5, waste: 40, won: true }, best: { moves: 5, waste: 40 } } })
+    });
+    assert.deepEqual(await phone.sync(), { ok: true, changed: true });
+    assert.deepEqual(Object.keys(attempts(phone)).sort(), ['2026-01-28', '2026-01-30']);
+    assert.deepEqual(Object.keys(JSON.parse(server.body).attempts).sort(), ['2026-01-28', '2026-01-30']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('failed syncs keep changes pending and report a sentence for the player', async () => {
+  const server = await startServer();
+  await server.close();
+  const phone = device(server.url, {});
+  const result = await phone.sync();
+  assert.deepEqual(result, { ok: false, error: 'The sync server could not be reached.' });
+  assert.equal(phone.hasPendingChanges(), true);
+
+  const rejecting = WordishStorage.createRestBackend({
+    url: 'https://example.com/profile',
+    local: WordishStorage.createLocalBackend(new FakeStorage()),
+    fetch: () => Promise.resolve({ ok: true, status: 200, headers: { get: () => null }, text: () => Promise.resolve('{}') })
+  });
+  assert.deepEqual(await rejecting.sync(), { ok: false, error: 'That file is not a wordish profile.' });
+});
+
+test('only progress writes mark a sync as pending', async () => {
+  const changes = [];
+  const backend = WordishStorage.createRestBackend({
+    url: 'https://example.com/profile',
+    local: WordishStorage.createLocalBackend(new FakeStorage()),
+    onChange: () => changes.push('change')
+  });
+  backend.setItem(KEYS.helpShown, '1');
+  backend.setItem(KEYS.darkMode, '1');
+  assert.equal(changes.length, 0);
+  backend.setItem(KEYS.stats, '{"games":[]}');
+  assert.equal(changes.length, 1);
+});
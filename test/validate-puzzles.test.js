@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validatePuzzles } = require('../scripts/validate-puzzles');
+
+const FOODS = ['HOTS', 'PIE', 'KALE', 'TOFU', 'SOUP', 'FISH', 'CHIPS'];
+
+function messages(result) {
+  return result.errors.map((e) => `${e.index}: ${e.message}`);
+}
+
+test('validatePuzzles accepts a well-formed, solvable calendar', () => {
+  const puzzles = [
+    { date: '2026-01-31', adjectives: ['HOT'], noun: 'PIES' },
+    { date: '2026-02-01', adjectives: ['FISHY'], noun: 'CHIP' }
+  ];
+  const result = validatePuzzles(puzzles, { foods: FOODS.concat(['YUM']), blocked: [], solve: true });
+  assert.deepEqual(messages(result), []);
+});
+
+test('validatePuzzles reports bad dates, gaps and duplicates per entry', () => {
+  const puzzles = [
+    { date: '2026-01-01', adjectives: ['HOT'], noun: 'PIES' },
+    { date: '2026-01-03', adjectives: ['WARM'], noun: 'TOAST' },
+    { date: '2026-01-03', adjectives: ['COLD'], noun: 'SOUPS' },
+    { date: '2026-02-30', adjectives: ['MILD'], noun: 'STEW' }
+  ];
+  assert.deepEqual(messages(validatePuzzles(puzzles, { foods: FOODS })), [
+    '1: gap in dates: previous puzzle is 2026-01-01',
+    '2: date repeats puzzle #002',
+    '2: date is not after the previous puzzle (2026-01-03)',
+    '3: date "2026-02-30" is not a valid YYYY-MM-DD date'
+  ]);
+});
+
+test('validatePuzzles warns about the gap before a resumed calendar\'s first future date', () => {
+  const puzzles = [
+    { date: '2026-01-01', adjectives: ['HOT'], noun: 'PIES' },
+    { date: '2026-02-11', adjectives: ['WARM'], noun: 'TOAST' },
+    { date: '2026-02-20', adjectives: ['COLD'], noun: 'SOUPS' }
+  ];
+  const result = validatePuzzles(puzzles, { foods: FOODS, today: '2026-02-10' });
+  assert.deepEqual(messages(result), ['2: gap in dates: previous puzzle is 2026-02-11']);
+  assert.deepEqual(result.warnings.map((w) => `${w.index}: ${w.message}`), ['1: gap in dates: previous puzzle is 2026-01-01']);
+});
+
+test('validatePuzzles reports malformed and repeated words and trivial adjectives', () => {
+  const puzzles = [
+    { date: '2026-01-01', adjectives: ['hot'], noun: 'PIES' },
+    { date: '2026-01-02', adjectives: [], noun: 'PIES' },
+    { date: '2026-01-03', adjectives: ['KALE'], noun: 'SOUP' }
+  ];
+  const result = validatePuzzles(puzzles, { foods: FOODS });
+  assert.deepEqual(messages(result), [
+    '0: adjective "hot" must be uppercase A–Z only',
+    '1: adjectives must be a non-empty array',
+    '1: noun PIES already used in puzzle #001',
+    '2: adjective KALE is itself an ingredient in foods.json'
+  ]);
+  assert.deepEqual(result.warnings.map((w) => w.index), [2]);
+});
+
+test('validatePuzzles flags unsolvable dishes when solving is enabled', () => {
+  const puzzles = [{ date: '2026-01-01', adjectives: ['JAZZY'], noun: 'PIES' }];
+  assert.deepEqual(messages(validatePuzzles(puzzles, { foods: FOODS })), []);
+  assert.deepEqual(messages(validatePuzzles(puzzles, { foods: FOODS, solve: true })), [
+    '0: cannot be solved within 5 moves with the current foods.json'
+  ]);
+});
+
+test('validatePuzzles only accepts known rule sets', () => {
+  const puzzles = [
+    { date: '2026-01-31', adjectives: ['HOT'], noun: 'PIES', rules: 'shortest' },
+    { date: '2026-02-01', adjectives: ['FISHY'], noun: 'CHIP', rules: 'sideways' }
+  ];
+  assert.deepEqual(messages(validatePuzzles(puzzles, { foods: FOODS })), [
+    '1: rules "sideways" must be one of greedy, shortest'
+  ]);
+});
+
+test('validatePuzzles accepts up to three adjectives', () => {
+  const puzzles = [
+    { date: '2026-01-31', adjectives: ['SPICY', 'CRISPY'], noun: 'TOFU' },
+    { date: '2026-02-01', adjectives: ['A', 'B', 'C', 'D'], noun: 'STEW' }
+  ];
+  assert.deepEqual(messages(validatePuzzles(puzzles, { foods: [] })), [
+    '1: at most 3 adjectives are shown (found 4)'
+  ]);
+});
+
+test('validatePuzzles checks per-puzzle move and star overrides', () => {
+  const puzzles = [
+    { date: '2026-01-31', adjectives: ['HOT'], noun: 'PIES', maxMoves: 7, elegantMaxMoves: 4, starMatchThreshold: 8 },
+    { date: '2026-02-01', adjectives: ['FISHY'], noun: 'CHIP', maxMoves: 0 },
+    { date: '2026-02-02', adjectives: ['MILD'], noun: 'STEW', maxMoves: 3, elegantMaxMoves: 4 }
+  ];
+  assert.deepEqual(messages(validatePuzzles(puzzles, { foods: [] })), [
+    '1: maxMoves 0 must be a positive integer',
+    '2: elegantMaxMoves 4 is more than maxMoves 3'
+  ]);
+});
+
+test('validatePuzzles checks themes and solves with the ingredient pool', () => {
+  const puzzles = [
+    { date: '2026-01-31', adjectives: ['HOT'], noun: 'PIES', theme: 'Comfort Week', ingredientPool: 'comfort' },
+    { date: '2026-02-01', adjectives: ['FISHY'], noun: 'CHIP', theme: '', ingredientPool: 'Comfort Food' },
+    { date: '2026-02-02', adjectives: ['MILD'], noun: 'STEW', ingredientPool: 'missing' },
+    { date: '2026-02-03', adjectives: ['WARM'], noun: 'BROTH', ingredientPool: 'tiny' }
+  ];
+  const pools = { comfort: ['HOTS', 'PIE', 'GRAVY'], tiny: ['PIE'] };
+  const result = validatePuzzles(puzzles, { foods: FOODS, pools, solve: true });
+  assert.deepEqual(messages(result), [
+    '1: theme "" must be a non-empty string',
+    '1: ingredientPool "Comfort Food" must be lowercase letters, digits and dashes',
+    '2: ingredientPool missing has no pools/missing.json list',
+    '3: cannot be solved within 5 moves with the current pools/tiny.json'
+  ]);
+  assert.deepEqual(result.warnings.map((w) => `${w.index}: ${w.message}`), [
+    '0: ingredientPool comfort has foods not in foods.json: GRAVY'
+  ]);
+});
+
+test('shipped ingredient pools only list foods from foods.json', () => {
+  const root = path.join(__dirname, '..');
+  const foods = new Set(JSON.parse(fs.readFileSync(path.join(root, 'foods.json'), 'utf8')).map((f) => String(f).toUpperCase()));
+  const pools = fs.readdirSync(path.join(root, 'pools')).filter((file) => file.endsWith('.json'));
+  assert.ok(pools.length > 0);
+  for (const file of pools) {
+    const list = JSON.parse(fs.readFileSync(path.join(root, 'pools', file), 'utf8'));
+    assert.ok(Array.isArray(list) && list.length > 0, file);
+    assert.deepEqual(list.filter((f) => !foods.has(String(f).toUpperCase())), [], file);
+  }
+});